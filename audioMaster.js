@@ -0,0 +1,107 @@
+// filename: audioMaster.js
+// Audio mastering: EBU R128 loudness normalization of every segment, fades
+// at segment boundaries and an optional music bed ducked under speech.
+// Settings live in config/audio.json.
+import fs from "fs";
+import path from "path";
+import ffmpeg from "fluent-ffmpeg";
+import { loadJSONConfig } from "./config.js";
+
+export const AUDIO_CONFIG = loadJSONConfig("audio.json", "AUDIO_CONFIG");
+
+function loudnormArgs({ target, truePeak, lra } = AUDIO_CONFIG.loudness) {
+  return `I=${target}:TP=${truePeak}:LRA=${lra}`;
+}
+
+// ---------- TWO-PASS LOUDNORM (per narration segment) ----------
+function measureLoudness(file) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(file)
+      .audioFilters(`loudnorm=${loudnormArgs()}:print_format=json`)
+      .format("null")
+      .on("end", (stdout, stderr) => {
+        const json = stderr.slice(stderr.lastIndexOf("{"), stderr.lastIndexOf("}") + 1);
+        try {
+          resolve(JSON.parse(json));
+        } catch (err) {
+          reject(new Error(`Could not read loudness of ${file}`));
+        }
+      })
+      .on("error", (err) => reject(err))
+      .save("-");
+  });
+}
+
+// Normalizes `file` in place to the configured integrated loudness
+export async function normalizeLoudness(file) {
+  const m = await measureLoudness(file);
+  const tmp = file.replace(/(\.\w+)$/, ".norm$1");
+
+  const filter =
+    `loudnorm=${loudnormArgs()}` +
+    `:measured_I=${m.input_i}:measured_TP=${m.input_tp}` +
+    `:measured_LRA=${m.input_lra}:measured_thresh=${m.input_thresh}` +
+    `:offset=${m.target_offset}:linear=true`;
+
+  await new Promise((resolve, reject) => {
+    ffmpeg(file)
+      .audioFilters([filter, "aresample=44100"])
+      .outputOptions(["-y"])
+      .on("end", resolve)
+      .on("error", (err) => reject(err))
+      .save(tmp);
+  });
+
+  fs.renameSync(tmp, file);
+  console.log(
+    `🔉 Loudness ${Number(m.input_i).toFixed(1)} → ${AUDIO_CONFIG.loudness.target} LUFS: ${path.basename(file)}`
+  );
+  return { inputLUFS: Number(m.input_i), targetLUFS: AUDIO_CONFIG.loudness.target };
+}
+
+// ---------- MERGE FILTERS ----------
+// Audio chain for input `index` of the merge: silence for clips without
+// audio, single-pass loudnorm (intro/outro reels are not pre-mastered),
+// common format, cut or padded to the video's length so transitions line
+// up, and short fades at both boundaries against clicks.
+export function segmentAudioFilter(index, { duration, hasAudio }) {
+  const fade = Math.min(AUDIO_CONFIG.segmentFade, duration / 4);
+  const source = hasAudio
+    ? `[${index}:a]loudnorm=${loudnormArgs()},`
+    : `anullsrc=r=44100:cl=stereo,atrim=duration=${duration},`;
+
+  return (
+    `${source}aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo,` +
+    `apad,atrim=duration=${duration},` +
+    `afade=t=in:st=0:d=${fade},afade=t=out:st=${Math.max(duration - fade, 0)}:d=${fade}[a${index}]`
+  );
+}
+
+// Mixes the looped music bed (input `musicIndex`) under `[speechLabel]`,
+// ducking it with the speech as sidechain. Produces [aout].
+export function musicBedFilters(musicIndex, speechLabel, totalDuration) {
+  const { volumeDb, fadeOut, duck } = AUDIO_CONFIG.musicBed;
+  const fadeStart = Math.max(totalDuration - fadeOut, 0);
+
+  return [
+    `[${speechLabel}]asplit=2[speech][sidechain]`,
+    `[${musicIndex}:a]aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo,` +
+      `volume=${volumeDb}dB,atrim=duration=${totalDuration},` +
+      `afade=t=out:st=${fadeStart}:d=${fadeOut}[bed]`,
+    `[bed][sidechain]sidechaincompress=threshold=${duck.threshold}:ratio=${duck.ratio}:attack=${duck.attack}:release=${duck.release}[ducked]`,
+    // amix scales each input by 1/n; volume=2 restores speech to its master level
+    `[speech][ducked]amix=inputs=2:duration=first,volume=2[aout]`,
+  ];
+}
+
+export function musicBedFile() {
+  const { enabled, file } = AUDIO_CONFIG.musicBed || {};
+  if (!enabled || process.env.MUSIC_BED === "off") return null;
+
+  const musicPath = path.join(process.cwd(), file);
+  if (!fs.existsSync(musicPath)) {
+    console.warn("⚠️ Music bed not found, merging without it:", musicPath);
+    return null;
+  }
+  return musicPath;
+}
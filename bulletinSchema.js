@@ -0,0 +1,234 @@
+// filename: bulletinSchema.js
+// Schema for the daily bulletin returned by the model, with field-level
+// validation so broken items never reach rendering. Every enabled language
+// from the registry must be present on every item.
+
+import { LANGUAGES } from "./languages.js";
+
+export const BULLETIN_SCHEMA = {
+  sections: {
+    India: { minItems: 2, maxItems: 6 },
+    World: { minItems: 2, maxItems: 6 },
+  },
+  item: {
+    title: { minLength: 10, maxLength: 110 },
+    description: { minLength: 40, maxLength: 700 },
+    why_it_matters: { minLength: 20, maxLength: 500 },
+  },
+  sourceIds: { minItems: 1, maxItems: 5 },
+  // Optional: set on follow-ups of stories from previous days
+  newDevelopment: { minLength: 20, maxLength: 300 },
+  // Optional: English keywords for the story image search, whatever the
+  // bulletin's languages
+  imageQuery: { minLength: 3, maxLength: 80 },
+  seo: {
+    title: { minLength: 20, maxLength: 100 },
+    tags: { minLength: 20, maxLength: 500 },
+    hashtags: { minLength: 2, maxLength: 300, pattern: /#\S+/ },
+  },
+};
+
+// ---------- HELPERS ----------
+function checkString(value, rule, fieldPath, errors) {
+  if (value === undefined || value === null) {
+    errors.push({ path: fieldPath, message: "is required" });
+    return;
+  }
+  if (typeof value !== "string") {
+    errors.push({
+      path: fieldPath,
+      message: `must be a string (got ${Array.isArray(value) ? "array" : typeof value})`,
+    });
+    return;
+  }
+
+  const length = value.trim().length;
+  if (length === 0) {
+    errors.push({ path: fieldPath, message: "must not be empty" });
+    return;
+  }
+  if (rule.minLength && length < rule.minLength) {
+    errors.push({
+      path: fieldPath,
+      message: `is too short (${length} chars, min ${rule.minLength})`,
+    });
+  }
+  if (rule.maxLength && length > rule.maxLength) {
+    errors.push({
+      path: fieldPath,
+      message: `is too long (${length} chars, max ${rule.maxLength})`,
+    });
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    errors.push({
+      path: fieldPath,
+      message: `does not match expected format ${rule.pattern}`,
+    });
+  }
+}
+
+function validateSourceIds(ids, idsPath, storyIds, errors) {
+  const rule = BULLETIN_SCHEMA.sourceIds;
+  if (!Array.isArray(ids)) {
+    errors.push({ path: idsPath, message: "must be an array of source story ids" });
+    return;
+  }
+  if (ids.length < rule.minItems || ids.length > rule.maxItems) {
+    errors.push({
+      path: idsPath,
+      message: `must contain ${rule.minItems}-${rule.maxItems} ids (got ${ids.length})`,
+    });
+  }
+  ids.forEach((id, i) => {
+    if (storyIds && !storyIds.has(id)) {
+      errors.push({
+        path: `${idsPath}[${i}]`,
+        message: `unknown source story id "${id}"`,
+      });
+    }
+  });
+}
+
+function validateItem(item, itemPath, storyIds, errors) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    errors.push({ path: itemPath, message: "must be an object" });
+    return;
+  }
+
+  validateSourceIds(item.source_ids, `${itemPath}.source_ids`, storyIds, errors);
+  if (item.breaking !== undefined && typeof item.breaking !== "boolean") {
+    errors.push({ path: `${itemPath}.breaking`, message: "must be a boolean" });
+  }
+  if (item.new_development !== undefined) {
+    checkString(
+      item.new_development,
+      BULLETIN_SCHEMA.newDevelopment,
+      `${itemPath}.new_development`,
+      errors
+    );
+  }
+  if (item.image_query !== undefined) {
+    checkString(item.image_query, BULLETIN_SCHEMA.imageQuery, `${itemPath}.image_query`, errors);
+  }
+
+  LANGUAGES.forEach((lang) => {
+    const block = item[lang];
+    const blockPath = `${itemPath}.${lang}`;
+
+    if (!block || typeof block !== "object" || Array.isArray(block)) {
+      errors.push({ path: blockPath, message: "is required" });
+      return;
+    }
+
+    Object.entries(BULLETIN_SCHEMA.item).forEach(([field, rule]) => {
+      checkString(block[field], rule, `${blockPath}.${field}`, errors);
+    });
+  });
+}
+
+// ---------- VALIDATE ----------
+// `stories` (from feeds.js) is optional; when given, every source id must
+// point at one of them.
+export function validateBulletin(parsed, stories) {
+  const errors = [];
+  const storyIds = stories
+    ? new Set(Object.values(stories).flatMap((list) => list.map((s) => s.id)))
+    : null;
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return {
+      valid: false,
+      errors: [{ path: "$", message: "must be a JSON object" }],
+    };
+  }
+
+  Object.entries(BULLETIN_SCHEMA.sections).forEach(([section, rule]) => {
+    const items = parsed[section];
+    if (!Array.isArray(items)) {
+      errors.push({ path: section, message: "must be an array" });
+      return;
+    }
+    if (items.length < rule.minItems || items.length > rule.maxItems) {
+      errors.push({
+        path: section,
+        message: `must contain ${rule.minItems}-${rule.maxItems} items (got ${items.length})`,
+      });
+    }
+    items.forEach((item, i) =>
+      validateItem(item, `${section}[${i}]`, storyIds, errors)
+    );
+  });
+
+  Object.entries(BULLETIN_SCHEMA.seo).forEach(([field, rule]) => {
+    checkString(parsed[field], rule, field, errors);
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Keep only the known language blocks and tag every item with its section,
+// so extra keys from the model never turn into fake "languages" downstream.
+// Source ids are resolved to the publisher/URL of every clustered article.
+export function normalizeBulletin(parsed, stories) {
+  const storiesById = new Map(
+    Object.values(stories || {}).flatMap((list) => list.map((s) => [s.id, s]))
+  );
+  const resolveSources = (ids) =>
+    ids
+      .flatMap((id) => storiesById.get(id)?.articles || [])
+      .filter((a, i, all) => all.findIndex((b) => b.url === a.url) === i)
+      .map((a) => ({ publisher: a.publisher, title: a.title, url: a.url }));
+
+  const pick = (items, india) =>
+    items.map((item) => {
+      const clean = {
+        india,
+        source_ids: item.source_ids,
+        sources: resolveSources(item.source_ids),
+      };
+      if (item.breaking === true) clean.breaking = true;
+      if (item.new_development) {
+        clean.new_development = item.new_development.trim();
+      }
+      if (item.image_query) clean.image_query = item.image_query.trim();
+      LANGUAGES.forEach((lang) => {
+        const { title, description, why_it_matters } = item[lang];
+        clean[lang] = {
+          title: title.trim(),
+          description: description.trim(),
+          why_it_matters: why_it_matters.trim(),
+        };
+      });
+      return clean;
+    });
+
+  return {
+    safeParsed: {
+      India: pick(parsed.India, true),
+      World: pick(parsed.World, false),
+    },
+    youtubeSEO: {
+      Title: parsed.title.trim(),
+      Tags: parsed.tags.trim(),
+      Hashtags: parsed.hashtags.trim(),
+    },
+  };
+}
+
+export function formatValidationErrors(errors) {
+  return errors.map((e) => `- ${e.path}: ${e.message}`).join("\n");
+}
+
+// ---------- REPAIR PROMPT ----------
+export function buildRepairPrompt(originalPrompt, rawText, errors) {
+  return `${originalPrompt}
+
+Your previous answer did not pass validation. Here is what you returned:
+${rawText}
+
+It has these problems:
+${formatValidationErrors(errors)}
+
+Fix every problem listed above and keep all other content unchanged.
+Return only the corrected, complete JSON object with no comments, explanations, or extra text.`;
+}
@@ -0,0 +1,142 @@
+// filename: cache.js
+// Content-addressed cache for generated/downloaded assets under
+// output/.cache/<kind>/<sha256>.<ext>, with a <sha256>.json sidecar holding
+// the key parts and metadata. Re-renders only fetch what actually changed.
+//
+//   node cache.js stats
+//   node cache.js invalidate [audio|images|all] [--older-than <days>]
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+
+const CACHE_DIR = path.join(process.cwd(), "output", ".cache");
+const KINDS = ["audio", "images"];
+
+const stats = Object.fromEntries(
+  KINDS.map((kind) => [kind, { hits: 0, misses: 0, stores: 0 }])
+);
+
+function kindDir(kind) {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown cache kind "${kind}"`);
+  return path.join(CACHE_DIR, kind);
+}
+
+export function cacheKey(parts) {
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+// Counts a lookup in the stats; see restoreFromCache's `count`
+export function countLookup(kind, hit) {
+  stats[kind][hit ? "hits" : "misses"]++;
+}
+
+// Copies the first cached file among `keys` to `destPath`.
+// Returns { key, meta } for the hit, or null on a miss. With
+// `count: false` the caller counts the lookup once it knows whether the
+// cached file is usable.
+export function restoreFromCache(kind, keys, destPath, { count = true } = {}) {
+  const dir = kindDir(kind);
+
+  for (const key of [].concat(keys)) {
+    const file = path.join(dir, `${key}${path.extname(destPath)}`);
+    if (!fs.existsSync(file)) continue;
+
+    const metaFile = path.join(dir, `${key}.json`);
+    fs.copyFileSync(file, destPath);
+    if (count) countLookup(kind, true);
+    return {
+      key,
+      meta: fs.existsSync(metaFile)
+        ? JSON.parse(fs.readFileSync(metaFile, "utf-8")).meta
+        : {},
+    };
+  }
+
+  if (count) countLookup(kind, false);
+  return null;
+}
+
+export function storeInCache(kind, key, srcPath, parts, meta = {}) {
+  const dir = kindDir(kind);
+  fs.mkdirSync(dir, { recursive: true });
+
+  fs.copyFileSync(srcPath, path.join(dir, `${key}${path.extname(srcPath)}`));
+  fs.writeFileSync(
+    path.join(dir, `${key}.json`),
+    JSON.stringify({ parts, meta, storedAt: new Date().toISOString() }, null, 2)
+  );
+  stats[kind].stores++;
+}
+
+export function getCacheStats() {
+  return JSON.parse(JSON.stringify(stats));
+}
+
+// Removes cached entries of `kind` ("all" for everything), optionally only
+// the ones stored more than `olderThanDays` ago. Returns the number removed.
+export function invalidateCache(kind = "all", olderThanDays) {
+  const kinds = kind === "all" ? KINDS : [kind];
+  const cutoff =
+    olderThanDays !== undefined ? Date.now() - olderThanDays * 86_400_000 : null;
+  let removed = 0;
+
+  kinds.forEach((k) => {
+    const dir = kindDir(k);
+    if (!fs.existsSync(dir)) return;
+
+    fs.readdirSync(dir)
+      .filter((f) => f.endsWith(".json"))
+      .forEach((metaName) => {
+        const key = metaName.replace(/\.json$/, "");
+        const metaFile = path.join(dir, metaName);
+        if (cutoff && fs.statSync(metaFile).mtimeMs > cutoff) return;
+
+        fs.readdirSync(dir)
+          .filter((f) => f.startsWith(`${key}.`))
+          .forEach((f) => fs.unlinkSync(path.join(dir, f)));
+        removed++;
+      });
+  });
+
+  return removed;
+}
+
+function countEntries(kind) {
+  const dir = kindDir(kind);
+  if (!fs.existsSync(dir)) return 0;
+  return fs.readdirSync(dir).filter((f) => f.endsWith(".json")).length;
+}
+
+// ---------- CLI ----------
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const usage =
+    "Usage: node cache.js [stats | invalidate [audio|images|all] [--older-than <days>]]";
+  try {
+    // Options first, so --older-than works with or without a kind
+    const { values, positionals } = parseArgs({
+      allowPositionals: true,
+      options: { "older-than": { type: "string" } },
+    });
+    const [command = "stats", kind = "all"] = positionals;
+    const olderThan =
+      values["older-than"] !== undefined ? Number(values["older-than"]) : undefined;
+    if (olderThan !== undefined && !(olderThan >= 0)) {
+      throw new Error(`Invalid --older-than "${values["older-than"]}"`);
+    }
+
+    if (command === "invalidate") {
+      const removed = invalidateCache(kind, olderThan);
+      console.log(`🧹 Removed ${removed} cached ${kind} entries`);
+    } else if (command === "stats") {
+      KINDS.forEach((k) => console.log(`📦 ${k}: ${countEntries(k)} entries`));
+    } else {
+      console.error(usage);
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error(`❌ ${err.message}\n${usage}`);
+    process.exitCode = 1;
+  }
+}
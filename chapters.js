@@ -0,0 +1,76 @@
+// filename: chapters.js
+// YouTube chapters for a merged bulletin: the segment start offsets recorded
+// by mergeVideos (run manifest "merge" section, measured with ffprobe) are
+// matched to the bulletin's stories and written as a localized
+// "00:00 Intro / 00:12 <title>" list. YouTube only shows chapters when the
+// list starts at 00:00, has at least three entries and none is shorter
+// than ten seconds, so shorter lists are dropped rather than rejected.
+import { getLanguage } from "./languages.js";
+
+const MIN_CHAPTERS = 3;
+const MIN_CHAPTER_SECONDS = 10;
+
+// 75.4 → "01:15", 3725 → "1:02:05"
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+  return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+}
+
+// merge:    { duration, segments: [{ file, start, duration }] } of one final
+// bulletin: parsed news_<date>.txt ({ India: [...], World: [...] })
+// Returns [{ start, title }]; the intro and anything before the first story
+// is one chapter, the outro runs on in the last story's.
+export function buildChapters(merge, bulletin, language) {
+  if (!merge?.segments?.length) return [];
+
+  const labels = getLanguage(language).chapters || {};
+  const items = [...(bulletin?.India || []), ...(bulletin?.World || [])];
+  const reelPattern = new RegExp(`^reel_${language}(\\d+)(_\\w+)?\\.mp4$`, "i");
+
+  const chapters = [];
+  merge.segments.forEach((segment) => {
+    const match = segment.file.match(reelPattern);
+    if (!match) {
+      if (chapters.length === 0) chapters.push({ start: 0, title: labels.intro || "Intro" });
+      return;
+    }
+    const item = items[parseInt(match[1], 10) - 1];
+    const title = item?.[language]?.title || item?.english?.title || `#${match[1]}`;
+    chapters.push({ start: segment.start, title });
+  });
+
+  // YouTube needs the first chapter at 00:00
+  if (chapters.length > 0) chapters[0].start = 0;
+
+  // A too-short chapter is folded into the next one (the last one into the
+  // one before), so a two-second intro hands 00:00 to the first story
+  const end = merge.duration;
+  const kept = [];
+  let carryStart = null;
+  chapters.forEach((chapter, i) => {
+    const c = { ...chapter, start: carryStart ?? chapter.start };
+    carryStart = null;
+    const next = chapters[i + 1]?.start ?? end;
+    if (next - c.start >= MIN_CHAPTER_SECONDS) {
+      kept.push(c);
+    } else if (i < chapters.length - 1) {
+      carryStart = c.start;
+    } else if (kept.length === 0) {
+      kept.push(c);
+    }
+  });
+  return kept.length >= MIN_CHAPTERS ? kept : [];
+}
+
+// Description section for `chapters`, or "" when there are none
+export function formatChapters(chapters, language) {
+  if (chapters.length === 0) return "";
+  const heading = getLanguage(language).chapters?.heading || "Chapters";
+  const lines = chapters.map((c) => `${formatTimestamp(c.start)} ${c.title}`);
+  // YouTube rejects angle brackets in descriptions
+  return `\n\n⏱️ ${heading}:\n${lines.join("\n")}`.replace(/[<>]/g, "");
+}
@@ -0,0 +1,244 @@
+// filename: cli.js
+// Command-line entry point: run the whole bulletin or one stage of it for a
+// date, some languages and some stories, e.g. redo only yesterday's Gujarati
+// merge with `node cli.js merge --date yesterday --lang gujarati`.
+// Without a command (or with -i) it asks for everything interactively.
+//
+// Flags become the same env overrides a plain `npm start` reads (NEWS_DATE,
+// LANGUAGES), so they are set before the pipeline modules are imported.
+import fs from "fs";
+import { parseArgs } from "util";
+import dayjs from "dayjs";
+import inquirer from "inquirer";
+import { loadJSONConfig } from "./config.js";
+
+const COMMANDS = {
+  fetch: "Fetch (or reuse) the day's bulletin",
+  tts: "Narrate the stories (redoes the audio)",
+  images: "Find the story images (an existing img<N>.png is kept)",
+  render: "Render the reels (redoes captions and reels)",
+  merge: "Merge each language's final (redoes the merge)",
+  thumbnail: "Draw each language's thumbnail",
+  upload: "Upload the finals (uploads again)",
+  run: "Everything, resuming what is already done",
+};
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+${Object.entries(COMMANDS)
+  .map(([name, description]) => `  ${name.padEnd(10)} ${description}`)
+  .join("\n")}
+
+A stage command also runs what the stage needs, resumed from the run
+manifest when it is already done.
+
+Options:
+  --date <YYYY-MM-DD|today|yesterday>   Bulletin date (default: today)
+  --lang <english,hindi>                Languages (default: the enabled ones)
+  --items <1,3-5>                       Stories to narrate, illustrate and render
+  --from-file <bulletin.json>           Use this bulletin instead of fetching one
+  --skip-upload                         Leave out the upload stage
+  --dry-run                             Show the tasks without running them
+  -i, --interactive                     Ask for the above
+  -h, --help                            Show this help`;
+
+// ---------- ARGUMENTS ----------
+function parseDate(value) {
+  if (value === "today") return dayjs().format("YYYY-MM-DD");
+  if (value === "yesterday") return dayjs().subtract(1, "day").format("YYYY-MM-DD");
+  if (dayjs(value).format("YYYY-MM-DD") !== value) {
+    throw new Error(`Invalid date "${value}", expected YYYY-MM-DD, today or yesterday`);
+  }
+  return value;
+}
+
+// "1,3-5" → [1, 3, 4, 5]
+function parseItems(value) {
+  const items = value.split(",").flatMap((part) => {
+    const match = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) throw new Error(`Invalid story number "${part.trim()}"`);
+    const from = Number(match[1]);
+    const to = Number(match[2] ?? match[1]);
+    if (from < 1 || to < from) throw new Error(`Invalid story range "${part.trim()}"`);
+    return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+  });
+  return [...new Set(items)];
+}
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      date: { type: "string" },
+      lang: { type: "string" },
+      items: { type: "string" },
+      "from-file": { type: "string" },
+      "skip-upload": { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+      interactive: { type: "boolean", short: "i", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const [command, ...extra] = positionals;
+  if (command && !COMMANDS[command]) throw new Error(`Unknown command "${command}"`);
+  if (extra.length > 0) throw new Error(`Unexpected argument "${extra[0]}"`);
+
+  return {
+    command,
+    date: values.date && parseDate(values.date),
+    languages: values.lang,
+    items: values.items ? parseItems(values.items) : null,
+    fromFile: values["from-file"],
+    skipUpload: values["skip-upload"],
+    dryRun: values["dry-run"],
+    interactive: values.interactive,
+    help: values.help,
+  };
+}
+
+// ---------- INTERACTIVE ----------
+async function askOptions(options) {
+  // Only the registry: languages.js would fix LANGUAGES before the answer
+  const registry = loadJSONConfig("languages.json", "LANGUAGES_CONFIG");
+  const validate = (parse) => (value) => {
+    try {
+      parse(value);
+      return true;
+    } catch (err) {
+      return err.message;
+    }
+  };
+
+  const answers = await inquirer.prompt([
+    {
+      type: "select",
+      name: "command",
+      message: "What should run?",
+      default: options.command || "run",
+      choices: Object.entries(COMMANDS).map(([value, description]) => ({
+        value,
+        name: `${value.padEnd(10)} ${description}`,
+      })),
+    },
+    {
+      type: "input",
+      name: "date",
+      message: "Date (YYYY-MM-DD, today or yesterday):",
+      default: options.date || process.env.NEWS_DATE || "today",
+      validate: validate(parseDate),
+    },
+    {
+      type: "checkbox",
+      name: "languages",
+      message: "Languages:",
+      choices: Object.entries(registry).map(([value, language]) => ({
+        value,
+        checked: options.languages
+          ? options.languages.split(",").includes(value)
+          : language.enabled,
+      })),
+      validate: (chosen) => chosen.length > 0 || "Pick at least one language",
+    },
+    {
+      type: "input",
+      name: "items",
+      message: "Stories (e.g. 1,3-5, blank for all):",
+      default: options.items?.join(",") || "",
+      when: ({ command }) => ["tts", "images", "render", "run"].includes(command),
+      validate: (value) => !value.trim() || validate(parseItems)(value),
+    },
+    {
+      type: "input",
+      name: "fromFile",
+      message: "Bulletin file (blank for the saved or a new one):",
+      default: options.fromFile || "",
+      when: ({ command }) => !["merge", "thumbnail", "upload"].includes(command),
+      validate: (value) => !value.trim() || fs.existsSync(value.trim()) || "File not found",
+    },
+    {
+      type: "confirm",
+      name: "skipUpload",
+      message: "Skip the upload?",
+      default: options.skipUpload,
+      when: ({ command }) => command === "run",
+    },
+    {
+      type: "confirm",
+      name: "dryRun",
+      message: "Dry run (only show the tasks)?",
+      default: options.dryRun,
+    },
+  ]);
+
+  return {
+    ...options,
+    ...answers,
+    date: parseDate(answers.date),
+    languages: answers.languages.join(","),
+    items: answers.items?.trim() ? parseItems(answers.items) : null,
+    fromFile: answers.fromFile?.trim() || null,
+  };
+}
+
+// ---------- BULLETIN FILE ----------
+// Accepts the model's raw JSON (validated like a fresh bulletin), a
+// news_<date>.txt or a run manifest's { safeParsed, youtubeSEO }
+async function readBulletinFile(file) {
+  const { validateBulletin, normalizeBulletin, formatValidationErrors } = await import(
+    "./bulletinSchema.js"
+  );
+  const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+
+  if (parsed.safeParsed) {
+    return { safeParsed: parsed.safeParsed, youtubeSEO: parsed.youtubeSEO || {} };
+  }
+  if (parsed.Title !== undefined) {
+    const { India = [], World = [], ...youtubeSEO } = parsed;
+    return { safeParsed: { India, World }, youtubeSEO };
+  }
+
+  const { valid, errors } = validateBulletin(parsed);
+  if (!valid) {
+    throw new Error(`${file} is not a valid bulletin:\n${formatValidationErrors(errors)}`);
+  }
+  return normalizeBulletin(parsed);
+}
+
+// ---------- MAIN ----------
+(async () => {
+  try {
+    let options = parseCommandLine(process.argv.slice(2));
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    if (options.interactive || !options.command) {
+      if (!process.stdin.isTTY) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+      }
+      options = await askOptions(options);
+    }
+
+    if (options.date) process.env.NEWS_DATE = options.date;
+    if (options.languages) process.env.LANGUAGES = options.languages;
+
+    const bulletin = options.fromFile ? await readBulletinFile(options.fromFile) : null;
+    const { runBulletin } = await import("./index_multi.js");
+    await runBulletin({
+      command: options.command,
+      items: options.items,
+      skipUpload: options.skipUpload,
+      dryRun: options.dryRun,
+      bulletin,
+    });
+  } catch (err) {
+    console.error("❌", err.message || err);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,21 @@
+// filename: config.js
+// Loads JSON config files from ./config, overridable per file via env var.
+import fs from "fs";
+import path from "path";
+
+export function loadJSONConfig(fileName, envVar) {
+  const configPath = path.resolve(
+    process.cwd(),
+    (envVar && process.env[envVar]) || path.join("config", fileName)
+  );
+
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${configPath}: ${err.message}`);
+  }
+}
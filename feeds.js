@@ -0,0 +1,204 @@
+// filename: feeds.js
+// RSS/Atom ingestion: pulls the configured India/World feeds, keeps the
+// articles from the editorial day and clusters them into stories that are
+// handed to the model as source material.
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import * as cheerio from "cheerio";
+import { loadJSONConfig } from "./config.js";
+import { tokenize, jaccard } from "./similarity.js";
+
+// ---------- FETCH ----------
+async function readFeed(feed) {
+  if (feed.file) {
+    return fs.readFileSync(path.resolve(process.cwd(), feed.file), "utf-8");
+  }
+
+  const { data } = await axios.get(feed.url, {
+    headers: {
+      "User-Agent": "Within24HoursNews/1.0 (+feed reader)",
+      Accept: "application/rss+xml, application/atom+xml, application/xml, text/xml",
+    },
+    responseType: "text",
+    timeout: 20_000,
+  });
+  return data;
+}
+
+function stripHtml(html) {
+  if (!html) return "";
+  return cheerio.load(`<div>${html}</div>`)("div").text().replace(/\s+/g, " ").trim();
+}
+
+// ---------- PARSE (RSS 2.0 + Atom) ----------
+export function parseFeed(xml, feed) {
+  const $ = cheerio.load(xml, { xml: true });
+  const articles = [];
+
+  $("item").each((i, el) => {
+    const item = $(el);
+    articles.push({
+      title: item.children("title").text().trim(),
+      url: item.children("link").text().trim() || item.children("guid").text().trim(),
+      excerpt: stripHtml(
+        item.children("description").text() || item.children("content\\:encoded").text()
+      ),
+      publishedAt: item.children("pubDate").text() || item.children("dc\\:date").text(),
+    });
+  });
+
+  $("entry").each((i, el) => {
+    const entry = $(el);
+    const link =
+      entry.children('link[rel="alternate"]').attr("href") ||
+      entry.children("link").first().attr("href") ||
+      "";
+    articles.push({
+      title: stripHtml(entry.children("title").text()),
+      url: link.trim(),
+      excerpt: stripHtml(entry.children("summary").text() || entry.children("content").text()),
+      publishedAt: entry.children("published").text() || entry.children("updated").text(),
+    });
+  });
+
+  return articles
+    .filter((a) => a.title)
+    .map((a) => {
+      const published = a.publishedAt ? new Date(a.publishedAt.trim()) : null;
+      return {
+        ...a,
+        publisher: feed.name,
+        publishedAt: published && !isNaN(published) ? published.toISOString() : null,
+      };
+    });
+}
+
+// ---------- EDITORIAL DAY ----------
+// The bulletin for `date` covers the `hours` before `endsAt` local time.
+function editorialWindow(date, { endsAt = "23:30", utcOffset = "+05:30", hours = 24 } = {}) {
+  const end = new Date(`${date}T${endsAt}:00${utcOffset}`);
+  const start = new Date(end.getTime() - hours * 60 * 60 * 1000);
+  return { start, end };
+}
+
+function inWindow(article, { start, end }) {
+  // Feeds without dates are kept, we cannot tell how old they are
+  if (!article.publishedAt) return true;
+  const t = new Date(article.publishedAt);
+  return t >= start && t <= end;
+}
+
+// ---------- CLUSTER ----------
+// Greedy single-pass clustering on title + excerpt tokens. A story is
+// ranked by how many distinct publishers carried it, then by article
+// count and recency.
+export function clusterArticles(articles, threshold = 0.25) {
+  const clusters = [];
+
+  articles.forEach((article) => {
+    const tokens = tokenize(`${article.title} ${article.title} ${article.excerpt}`);
+    let best = null;
+    let bestScore = 0;
+
+    clusters.forEach((cluster) => {
+      const score = jaccard(tokens, cluster.tokens);
+      if (score > bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    });
+
+    if (best && bestScore >= threshold) {
+      best.articles.push(article);
+      best.tokens = [...new Set([...best.tokens, ...tokens])];
+    } else {
+      clusters.push({ tokens, articles: [article] });
+    }
+  });
+
+  const latest = (c) =>
+    Math.max(...c.articles.map((a) => (a.publishedAt ? Date.parse(a.publishedAt) : 0)));
+  const publishers = (c) => new Set(c.articles.map((a) => a.publisher)).size;
+
+  return clusters
+    .sort(
+      (a, b) =>
+        publishers(b) - publishers(a) ||
+        b.articles.length - a.articles.length ||
+        latest(b) - latest(a)
+    )
+    .map(({ articles: members }) => ({
+      title: members[0].title,
+      articles: members,
+    }));
+}
+
+// ---------- MAIN ENTRY ----------
+export async function getFeedStories(date) {
+  const config = loadJSONConfig("feeds.json", "FEEDS_CONFIG");
+  const window = editorialWindow(date, config.editorialDay);
+  const result = {};
+
+  for (const section of ["India", "World"]) {
+    const feeds = config.sections?.[section] || [];
+    const settled = await Promise.allSettled(
+      feeds.map(async (feed) => parseFeed(await readFeed(feed), feed))
+    );
+
+    const articles = [];
+    settled.forEach((res, i) => {
+      if (res.status === "fulfilled") {
+        articles.push(...res.value);
+      } else {
+        console.warn(`⚠️ Feed failed (${feeds[i].name}):`, res.reason?.message);
+      }
+    });
+
+    // Same link can show up in several feeds of one publisher
+    const seen = new Set();
+    const fresh = articles.filter((a) => {
+      const key = a.url || a.title;
+      if (seen.has(key) || !inWindow(a, window)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const stories = clusterArticles(fresh, config.clusterThreshold)
+      .slice(0, config.maxStoriesPerSection || 10)
+      .map((story, i) => ({ id: `${section}-${i + 1}`, ...story }));
+
+    console.log(
+      `🗞️ ${section}: ${fresh.length} articles → ${stories.length} stories from ${feeds.length} feeds`
+    );
+    result[section] = stories;
+  }
+
+  const total = result.India.length + result.World.length;
+  if (total === 0 && config.requireSources !== false) {
+    throw new Error("No feed stories found for the editorial day");
+  }
+
+  return result;
+}
+
+// Source block appended to the news prompt
+export function formatStoriesForPrompt(stories, excerptLength = 400) {
+  return ["India", "World"]
+    .map((section) => {
+      const lines = (stories[section] || []).map((story) => {
+        const sources = story.articles
+          .slice(0, 4)
+          .map(
+            (a) =>
+              `  - ${a.publisher}: ${a.title}${
+                a.excerpt ? ` — ${a.excerpt.slice(0, excerptLength)}` : ""
+              }`
+          )
+          .join("\n");
+        return `[${story.id}] ${story.title}\n${sources}`;
+      });
+      return `### ${section} stories\n${lines.join("\n\n") || "(none)"}`;
+    })
+    .join("\n\n");
+}
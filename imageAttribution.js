@@ -0,0 +1,85 @@
+// filename: imageAttribution.js
+// Origin records for story images: every saved img<N>.png gets an
+// img<N>.json sidecar (provider, source page, image URL, credit, license,
+// retrieval time), candidates from blocklisted domains are rejected, and the
+// sidecars become the credits of the YouTube description. The policy lives
+// in the "policy" block of config/images.json.
+import fs from "fs";
+import path from "path";
+import { loadJSONConfig } from "./config.js";
+
+const { policy: POLICY = {} } = loadJSONConfig("images.json", "IMAGES_CONFIG");
+
+// Providers whose images are made or owned by the channel, never credited
+const OWN_PROVIDERS = ["card"];
+
+// ---------- POLICY ----------
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+// Returns the reason a candidate is not allowed, or null
+export function policyViolation(candidate) {
+  const blocked = (POLICY.blockedDomains || []).map((d) => d.toLowerCase());
+
+  for (const url of [candidate.url, candidate.sourceUrl]) {
+    const host = hostOf(url);
+    if (!host) continue;
+    const domain = blocked.find((d) => host === d || host.endsWith(`.${d}`));
+    if (domain) return `blocked domain ${domain}`;
+  }
+
+  if (POLICY.requireLicense && !candidate.license && !candidate.file && !candidate.data) {
+    return "no license information";
+  }
+  return null;
+}
+
+// ---------- SIDECAR ----------
+export function attributionPath(imagePath) {
+  return imagePath.replace(/\.\w+$/, ".json");
+}
+
+export function writeAttribution(imagePath, record) {
+  fs.writeFileSync(attributionPath(imagePath), JSON.stringify(record, null, 2), "utf-8");
+}
+
+export function readAttribution(imagePath) {
+  const file = attributionPath(imagePath);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    console.warn("⚠️ Image attribution unreadable:", file, err.message);
+    return null;
+  }
+}
+
+// ---------- CREDITS ----------
+// "📷 Image credits" section from the img<N>.json sidecars in `folderPath`
+export function buildCreditsSection(folderPath) {
+  if (!fs.existsSync(folderPath)) return "";
+
+  const lines = fs
+    .readdirSync(folderPath)
+    .filter((f) => /^img\d+\.json$/.test(f))
+    .sort((a, b) => parseInt(a.slice(3), 10) - parseInt(b.slice(3), 10))
+    .map((f) => ({
+      n: parseInt(f.slice(3), 10),
+      record: readAttribution(path.join(folderPath, f)),
+    }))
+    .filter(({ record }) => record && !OWN_PROVIDERS.includes(record.provider))
+    .map(({ n, record }) => {
+      const who = record.credit || record.provider;
+      const license = record.license || "license unknown";
+      const link = record.sourcePage || record.imageUrl || "";
+      return `${n}. ${who} (${license}) ${link}`.trim();
+    });
+
+  if (lines.length === 0) return "";
+  return `\n\n📷 Image credits:\n${lines.join("\n")}`.replace(/[<>]/g, "");
+}
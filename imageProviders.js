@@ -0,0 +1,461 @@
+// filename: imageProviders.js
+// Story images behind one interface, tried in order as a fallback chain.
+// Every provider returns candidates; the chain saves the first one that
+// decodes as an image, sized for the reel, and reports which provider
+// supplied it. The generated text card never fails, so a story always has
+// an image. Settings live in config/images.json.
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import * as cheerio from "cheerio";
+import sharp from "sharp";
+import { loadJSONConfig } from "./config.js";
+import { tokenize } from "./similarity.js";
+import { cacheKey, restoreFromCache, storeInCache, countLookup } from "./cache.js";
+import { policyViolation, writeAttribution } from "./imageAttribution.js";
+import { fontFamily, escapeMarkup } from "./textLayers.js";
+import { rateLimit } from "./scheduler.js";
+import {
+  MAX_CANDIDATES,
+  analyzeImage,
+  imageHash,
+  hashSimilarity,
+  scoreCandidate,
+  formatScore,
+} from "./imageScoring.js";
+
+export const IMAGE_CONFIG = loadJSONConfig("images.json", "IMAGES_CONFIG");
+
+// IMAGE_PROVIDERS="pexels,library,card" picks and orders the chain for a run
+const DEFAULT_CHAIN = ["yahoo", "pexels", "pixabay", "openverse", "library", "card"];
+
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36";
+
+// Stock APIs match on keywords, not on a full headline
+function keywords(query, count = 4) {
+  return tokenize(query).slice(0, count).join(" ");
+}
+
+// ---------- Yahoo image search (scraper) ----------
+const yahoo = {
+  name: "yahoo",
+  cacheable: true,
+  async search({ query }) {
+    const url = `https://in.images.search.yahoo.com/search/images?p=${encodeURIComponent(
+      query
+    )}`;
+    const { data } = await axios.get(url, {
+      headers: { "User-Agent": USER_AGENT },
+      timeout: 20_000,
+    });
+
+    const $ = cheerio.load(data);
+    const candidates = [];
+
+    $("li.ld").each((i, el) => {
+      const dataAttr = $(el).attr("data") || "";
+      const ariaLabel = $(el).find("a.img").attr("aria-label") || "";
+      // The result link carries the page the image was found on (rurl)
+      const href = $(el).find("a.img").attr("href") || "";
+      const rurl = /[?&]rurl=([^&]+)/.exec(href);
+      const imgSrc =
+        $(el).find("img").attr("data-src") || $(el).find("img").attr("src");
+
+      if (!imgSrc) return;
+      if (dataAttr.toLowerCase().includes("youtube")) {
+        console.log(`❌ Skipped (YouTube) #${i + 1}`);
+        return;
+      }
+      // Clean URL (remove ?pid= and other query params)
+      candidates.push({
+        url: imgSrc.split("?")[0],
+        title: ariaLabel,
+        sourceUrl: rurl ? decodeURIComponent(rurl[1]) : null,
+      });
+    });
+
+    return candidates;
+  },
+};
+
+// ---------- Pexels (free API, PEXELS_API_KEY) ----------
+const pexels = {
+  name: "pexels",
+  cacheable: true,
+  async search({ query }) {
+    const apiKey = process.env.PEXELS_API_KEY || "";
+    if (!apiKey) throw new Error("No Pexels API key found (PEXELS_API_KEY)");
+
+    const { data } = await axios.get("https://api.pexels.com/v1/search", {
+      headers: { Authorization: apiKey },
+      params: { query: keywords(query), per_page: 10 },
+      timeout: 20_000,
+    });
+
+    return (data.photos || []).map((p) => ({
+      url: p.src?.large2x || p.src?.large,
+      title: p.alt || "",
+      sourceUrl: p.url,
+      credit: p.photographer,
+      license: "Pexels License",
+      width: p.width,
+      height: p.height,
+    }));
+  },
+};
+
+// ---------- Pixabay (free API, PIXABAY_API_KEY) ----------
+const pixabay = {
+  name: "pixabay",
+  cacheable: true,
+  async search({ query }) {
+    const apiKey = process.env.PIXABAY_API_KEY || "";
+    if (!apiKey) throw new Error("No Pixabay API key found (PIXABAY_API_KEY)");
+
+    const { data } = await axios.get("https://pixabay.com/api/", {
+      params: {
+        key: apiKey,
+        q: keywords(query),
+        image_type: "photo",
+        safesearch: true,
+        per_page: 10,
+      },
+      timeout: 20_000,
+    });
+
+    return (data.hits || []).map((h) => ({
+      url: h.largeImageURL || h.webformatURL,
+      title: h.tags || "",
+      sourceUrl: h.pageURL,
+      credit: h.user,
+      license: "Pixabay Content License",
+      width: h.imageWidth,
+      height: h.imageHeight,
+    }));
+  },
+};
+
+// ---------- Openverse (openly licensed, no key needed) ----------
+const openverse = {
+  name: "openverse",
+  cacheable: true,
+  async search({ query }) {
+    const { data } = await axios.get("https://api.openverse.org/v1/images/", {
+      headers: { "User-Agent": "Within24HoursNews/1.0" },
+      params: { q: keywords(query), page_size: 10, license_type: "commercial" },
+      timeout: 20_000,
+    });
+
+    return (data.results || []).map((r) => ({
+      url: r.url,
+      title: r.title || "",
+      sourceUrl: r.foreign_landing_url,
+      credit: r.creator,
+      license: r.license && `${r.license} ${r.license_version || ""}`.trim(),
+      width: r.width,
+      height: r.height,
+    }));
+  },
+};
+
+// ---------- Local categorized library ----------
+// <library.dir>/<category>/*.jpg|png|webp. The category is the one whose
+// keywords best match the query, else the section's fallback, else "general".
+// How to fill it: assests/IMAGES/README.md. An empty library is skipped.
+const IMAGE_EXT = /\.(jpe?g|png|webp)$/i;
+let libraryEmptyWarned = false;
+
+function libraryIsEmpty(root) {
+  if (!fs.existsSync(root)) return true;
+  return !fs
+    .readdirSync(root, { withFileTypes: true })
+    .some(
+      (entry) =>
+        entry.isDirectory() &&
+        fs.readdirSync(path.join(root, entry.name)).some((f) => IMAGE_EXT.test(f))
+    );
+}
+
+function libraryCategory(query, section) {
+  const { categories = {}, sectionFallback = {} } = IMAGE_CONFIG.library;
+  const tokens = new Set(tokenize(query));
+  let best = null;
+  let bestHits = 0;
+
+  Object.entries(categories).forEach(([category, words]) => {
+    const hits = words.filter((w) => tokens.has(w)).length;
+    if (hits > bestHits) {
+      best = category;
+      bestHits = hits;
+    }
+  });
+
+  return [best, sectionFallback[section], "general"].filter(Boolean);
+}
+
+const library = {
+  name: "library",
+  cacheable: false,
+  async search({ query, section }) {
+    const root = path.join(process.cwd(), IMAGE_CONFIG.library.dir);
+    if (libraryIsEmpty(root)) {
+      if (!libraryEmptyWarned) {
+        console.warn(`⚠️ Image library ${root} has no images, skipping it (see its README.md)`);
+        libraryEmptyWarned = true;
+      }
+      return [];
+    }
+
+    for (const category of libraryCategory(query, section)) {
+      const dir = path.join(root, category);
+      if (!fs.existsSync(dir)) continue;
+
+      const files = fs.readdirSync(dir).filter((f) => IMAGE_EXT.test(f)).sort();
+      if (files.length === 0) continue;
+
+      // Stable per story, but different stories spread over the folder
+      const pick = parseInt(cacheKey(query).slice(0, 8), 16) % files.length;
+      const ordered = [...files.slice(pick), ...files.slice(0, pick)];
+      return ordered.map((f) => ({
+        file: path.join(dir, f),
+        title: `${category}/${f}`,
+      }));
+    }
+
+    throw new Error(`No library images for "${keywords(query)}" in ${root}`);
+  },
+};
+
+// ---------- Generated text card (last resort) ----------
+const card = {
+  name: "card",
+  cacheable: false,
+  // Cards share a plain background, they would all look alike to the hash
+  dedupe: false,
+  async search({ query, section, fontFile }) {
+    const { width, height } = IMAGE_CONFIG.size;
+    const { background, textColour, fontSize, logo } = IMAGE_CONFIG.card;
+    const layers = [];
+
+    const fontPath = fontFile && path.join(process.cwd(), fontFile);
+    const family = fontPath && fs.existsSync(fontPath) ? fontFamily(fontPath) : null;
+    const text = await sharp({
+      text: {
+        text: `<span foreground="${textColour}" size="${fontSize * 1024}">${escapeMarkup(
+          query
+        )}</span>`,
+        font: family || undefined,
+        fontfile: family ? fontPath : undefined,
+        width: width - 120,
+        align: "center",
+        rgba: true,
+        wrap: "word",
+      },
+    })
+      .png()
+      .toBuffer();
+    layers.push({ input: text, gravity: "center" });
+
+    const logoPath = logo && path.join(process.cwd(), logo);
+    if (logoPath && fs.existsSync(logoPath)) {
+      const logoImage = await sharp(logoPath).resize({ width: 220 }).png().toBuffer();
+      layers.push({ input: logoImage, top: 40, left: Math.round((width - 220) / 2) });
+    }
+
+    const data = await sharp({
+      create: {
+        width,
+        height,
+        channels: 4,
+        background: background[section] || background.default,
+      },
+    })
+      .composite(layers)
+      .png()
+      .toBuffer();
+
+    return [{ data, title: query }];
+  },
+};
+
+const PROVIDERS = {
+  [yahoo.name]: yahoo,
+  [pexels.name]: pexels,
+  [pixabay.name]: pixabay,
+  [openverse.name]: openverse,
+  [library.name]: library,
+  [card.name]: card,
+};
+
+export function getImageChain() {
+  const names = (process.env.IMAGE_PROVIDERS || "")
+    .split(",")
+    .map((n) => n.trim())
+    .filter(Boolean);
+  const chain = names.length > 0 ? names : DEFAULT_CHAIN;
+
+  return chain.map((name) => {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      throw new Error(
+        `Unknown image provider "${name}" (expected: ${Object.keys(PROVIDERS).join(", ")})`
+      );
+    }
+    return provider;
+  });
+}
+
+// ---------- DOWNLOAD + NORMALIZE ----------
+async function loadCandidate(candidate) {
+  if (candidate.data) return candidate.data;
+  if (candidate.file) return fs.readFileSync(candidate.file);
+
+  const res = await axios.get(candidate.url, {
+    headers: { "User-Agent": USER_AGENT },
+    responseType: "arraybuffer",
+    timeout: 30_000,
+  });
+  return Buffer.from(res.data);
+}
+
+// Contain-fit into the configured size as PNG, the way it is saved
+async function normalizeImage(buffer) {
+  const { width, height } = IMAGE_CONFIG.size;
+  return sharp(buffer)
+    .resize(width, height, {
+      fit: "contain",
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    })
+    .png()
+    .toBuffer();
+}
+
+function imageCacheParts(request, provider) {
+  const { width, height } = IMAGE_CONFIG.size;
+  return { query: request.query, provider: provider.name, size: `${width}x${height}` };
+}
+
+// Downloads and scores up to MAX_CANDIDATES of a provider's results and
+// returns the best one that is not a near-duplicate of a used image.
+async function pickCandidate(provider, candidates, request) {
+  const scored = [];
+
+  for (const candidate of candidates.slice(0, MAX_CANDIDATES)) {
+    try {
+      const original = await loadCandidate(candidate);
+      const buffer = await normalizeImage(original);
+      const analysis = { ...(await analyzeImage(original)), hash: await imageHash(buffer) };
+      const score = scoreCandidate(candidate, analysis, request.query, request.usedHashes);
+      scored.push({ candidate, buffer, hash: analysis.hash, score });
+    } catch (err) {
+      // Broken download or not an image, skip it
+    }
+  }
+
+  scored.sort((a, b) => b.score.total - a.score.total);
+  console.log(`🔎 ${provider.name}: ${scored.length}/${candidates.length} candidates scored`);
+  scored.forEach(({ candidate, score }, i) =>
+    console.log(`   #${i + 1} ${formatScore(score)} ${candidate.title || candidate.url || ""}`)
+  );
+
+  return scored.find((s) => provider.dedupe === false || !s.score.duplicate) || null;
+}
+
+function isDuplicate(hash, usedHashes = []) {
+  const { duplicateThreshold } = IMAGE_CONFIG.scoring;
+  return usedHashes.some((h) => hashSimilarity(h, hash) >= duplicateThreshold);
+}
+
+// Attribution record kept in the cache and written as the image's sidecar
+function attributionFor(request, provider, candidate, score) {
+  return {
+    provider: provider.name,
+    query: request.query,
+    sourcePage:
+      candidate.sourceUrl ||
+      (candidate.file && path.relative(process.cwd(), candidate.file)) ||
+      null,
+    imageUrl: candidate.url || null,
+    credit: candidate.credit || null,
+    license: candidate.license || null,
+    score: score.total,
+    retrievedAt: new Date().toISOString(),
+  };
+}
+
+// ---------- MAIN ENTRY ----------
+// request: { query, savePath, section, fontFile, usedHashes }
+// `usedHashes` are the images already in the bulletin, see imageScoring.js.
+// Writes the image plus its attribution sidecar (imageAttribution.js) and
+// resolves { path, hash, cached, ...attribution }
+export async function findImage(request) {
+  const chain = getImageChain();
+
+  // ✅ Reuse an image a network provider of the chain already found; a
+  // cached image rejected below counts as a miss
+  const cacheable = chain.filter((p) => p.cacheable);
+  const keys = cacheable.map((p) => cacheKey(imageCacheParts(request, p)));
+  const hit = restoreFromCache("images", keys, request.savePath, { count: false });
+  if (hit) {
+    const provider = cacheable[keys.indexOf(hit.key)];
+    const hash = await imageHash(request.savePath);
+    const violation = policyViolation({
+      url: hit.meta.imageUrl,
+      sourceUrl: hit.meta.sourcePage,
+      license: hit.meta.license,
+    });
+    if (violation) {
+      console.log(`⚠️ Cached image no longer allowed (${violation}), searching again`);
+    } else if (isDuplicate(hash, request.usedHashes)) {
+      console.log(`⚠️ Cached image repeats one already in the bulletin, searching again`);
+    } else {
+      const record = { ...hit.meta, provider: provider.name };
+      writeAttribution(request.savePath, record);
+      countLookup("images", true);
+      console.log(`♻️ Image from cache (${provider.name}): ${request.savePath}`);
+      return { path: request.savePath, ...record, hash, cached: true };
+    }
+  }
+  countLookup("images", false);
+
+  const errors = [];
+  for (const provider of chain) {
+    let candidates;
+    try {
+      await rateLimit(provider.name);
+      candidates = await provider.search(request);
+    } catch (err) {
+      console.warn(`⚠️ Image provider ${provider.name} failed:`, err.message);
+      errors.push(`${provider.name}: ${err.message}`);
+      continue;
+    }
+
+    const allowed = candidates.filter((candidate) => {
+      const violation = policyViolation(candidate);
+      if (violation) console.log(`🚫 ${provider.name}: ${violation}: ${candidate.url}`);
+      return !violation;
+    });
+
+    const best = await pickCandidate(provider, allowed, request);
+    if (!best) {
+      errors.push(`${provider.name}: no usable image among ${candidates.length} results`);
+      continue;
+    }
+
+    const { candidate, buffer, hash, score } = best;
+    fs.writeFileSync(request.savePath, buffer);
+
+    const record = attributionFor(request, provider, candidate, score);
+    writeAttribution(request.savePath, record);
+    if (provider.cacheable) {
+      const parts = imageCacheParts(request, provider);
+      storeInCache("images", cacheKey(parts), request.savePath, parts, record);
+    }
+
+    console.log(`💾 Image saved (${provider.name}, score ${score.total}): ${request.savePath}`);
+    return { path: request.savePath, ...record, hash, cached: false };
+  }
+
+  throw new Error(`All image providers failed (${errors.join("; ")})`);
+}
@@ -0,0 +1,101 @@
+// filename: imageScoring.js
+// Ranks story image candidates: keyword overlap between the candidate's
+// label and the headline, resolution and aspect fit to the reel's image
+// slot, sharpness (variance of the Laplacian) and a difference hash so the
+// same picture is not used twice in one bulletin. Weights and thresholds
+// live in the "scoring" block of config/images.json.
+import sharp from "sharp";
+import { loadJSONConfig } from "./config.js";
+import { tokenize, overlap } from "./similarity.js";
+
+const { scoring: SCORING } = loadJSONConfig("images.json", "IMAGES_CONFIG");
+
+// Candidates downloaded and scored per provider
+export const MAX_CANDIDATES = SCORING.maxCandidates;
+
+// ---------- ANALYSIS ----------
+// 64-bit dHash: compares neighbouring pixels of a 9x8 grayscale thumbnail.
+// Hash the image as saved for the reel so padding is compared like for like.
+export async function imageHash(input) {
+  const pixels = await sharp(input)
+    .flatten({ background: "#000000" })
+    .grayscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let bits = "";
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits += pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? "1" : "0";
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, "0");
+}
+
+export function hashSimilarity(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return 1 - distance / 64;
+}
+
+// Variance of the Laplacian on a 512px grayscale copy; low means blurry.
+// stats() reads its input, so the filtered image is rendered first.
+async function sharpness(input) {
+  const laplacian = await sharp(input)
+    .flatten({ background: "#000000" })
+    .grayscale()
+    .resize(512, 512, { fit: "inside" })
+    .convolve({ width: 3, height: 3, kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0], offset: 128 })
+    .png()
+    .toBuffer();
+  const { channels } = await sharp(laplacian).stats();
+  return channels[0].stdev ** 2;
+}
+
+export async function analyzeImage(buffer) {
+  const { width, height } = await sharp(buffer).metadata();
+  if (!width || !height) throw new Error("not an image");
+
+  return { width, height, sharpness: await sharpness(buffer) };
+}
+
+// ---------- SCORE ----------
+// Every part is 0..1; the total is their weighted mean.
+// `analysis.hash` is the hash of the candidate as it would be saved.
+export function scoreCandidate(candidate, analysis, query, usedHashes = []) {
+  const { slot, weights, sharpnessRef, duplicateThreshold } = SCORING;
+  const ratio = analysis.width / analysis.height;
+  const slotRatio = slot.width / slot.height;
+  const closest = Math.max(0, ...usedHashes.map((h) => hashSimilarity(h, analysis.hash)));
+
+  const parts = {
+    relevance: overlap(tokenize(query), tokenize(candidate.title)),
+    resolution: Math.min(1, analysis.width / slot.width, analysis.height / slot.height),
+    aspect: Math.min(ratio, slotRatio) / Math.max(ratio, slotRatio),
+    sharpness: Math.min(1, analysis.sharpness / sharpnessRef),
+    novelty: 1 - closest,
+  };
+
+  const weightSum = Object.values(weights).reduce((a, b) => a + b, 0);
+  const total =
+    Object.entries(parts).reduce((sum, [k, v]) => sum + v * (weights[k] || 0), 0) /
+    weightSum;
+
+  return {
+    total: Number(total.toFixed(3)),
+    parts,
+    duplicate: closest >= duplicateThreshold,
+  };
+}
+
+export function formatScore({ total, parts, duplicate }) {
+  const detail = Object.entries(parts)
+    .map(([k, v]) => `${k} ${v.toFixed(2)}`)
+    .join(", ");
+  return `${total.toFixed(2)} (${detail})${duplicate ? " ❌ duplicate" : ""}`;
+}
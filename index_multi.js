@@ -1,16 +1,64 @@
 // filename: news-reel-automation.mjs
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import axios from "axios";
-import * as cheerio from "cheerio";
 import fs from "fs";
 import path from "path";
+import { fileURLToPath } from "url";
 import dayjs from "dayjs";
 import ffmpeg from "fluent-ffmpeg";
 import ffmpegPath from "ffmpeg-static";
 import dotenv from "dotenv";
-import sharp from "sharp";
 import { exec } from "child_process";
-import getAllFinalVideosByDate from "./pushYoutube.js";
+import getAllFinalVideosByDate, { prepareThumbnail } from "./pushYoutube.js";
+import {
+  BULLETIN_SCHEMA,
+  validateBulletin,
+  normalizeBulletin,
+  formatValidationErrors,
+  buildRepairPrompt,
+} from "./bulletinSchema.js";
+import { createLLMProvider } from "./llmProviders.js";
+import { getFeedStories, formatStoriesForPrompt } from "./feeds.js";
+import {
+  DEDUPE_DAYS,
+  DEDUPE_THRESHOLD,
+  findDuplicates,
+  buildDedupePrompt,
+  dropDuplicates,
+  recordStories,
+} from "./storyHistory.js";
+import {
+  readManifest,
+  recordRun,
+  stageKey,
+  completedStage,
+  finishedStage,
+  markStage,
+  saveBulletin,
+  savedBulletin,
+} from "./runManifest.js";
+import { LANGUAGES, getLanguage } from "./languages.js";
+import { padAudio, getMediaDuration } from "./media.js";
+import { synthesizeSpeech } from "./ttsEngines.js";
+import {
+  normalizeLoudness,
+  segmentAudioFilter,
+  musicBedFilters,
+  musicBedFile,
+} from "./audioMaster.js";
+import { buildCues, writeSubtitles, writeASS, burnInEnabled } from "./subtitles.js";
+import { findImage } from "./imageProviders.js";
+import { generateReel, templateFor } from "./reelTemplates.js";
+import { FORMATS, getFormat, finalFileName } from "./outputFormats.js";
+import { transitionFilters, stingerFile } from "./transitions.js";
+import { imageHash } from "./imageScoring.js";
+import { readAttribution } from "./imageAttribution.js";
+import { getCacheStats } from "./cache.js";
+import { pools, createProgress } from "./scheduler.js";
+import { runPipeline, selectTasks, formatReport } from "./pipeline.js";
+import {
+  getVoiceProfile,
+  resolveVoiceProfile,
+  profileInstructions,
+} from "./voiceProfiles.js";
 
 dotenv.config();
 ffmpeg.setFfmpegPath(ffmpegPath);
@@ -18,7 +66,7 @@ ffmpeg.setFfmpegPath(ffmpegPath);
 // ---------- UTILS ----------
 function getYesterday() {
   // return dayjs().subtract(1, "day").format("YYYY-MM-DD");
-  return dayjs().format("YYYY-MM-DD");
+  return process.env.NEWS_DATE || dayjs().format("YYYY-MM-DD");
 }
 
 function getOutputDirForDate(date) {
@@ -27,9 +75,7 @@ function getOutputDirForDate(date) {
   return dir;
 }
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-// ✅ Clean Gemini JSON response
+// ✅ Clean model JSON response
 function cleanGeminiJSON(text) {
   if (!text) return "{}";
   let cleaned = text.trim();
@@ -49,104 +95,88 @@ function cleanGeminiJSON(text) {
 }
 
 // ---------- CONFIG ----------
-const voice = "onyx";
-const vibe = {
-  Voice: "Confident, high-energy — like a breaking-news anchor on speed mode.",
-  Tone: "Sharp, dynamic, and urgent — captures attention instantly with no downtime.",
-  Pacing:
-    "Fast and continuous; headlines delivered in a machine-gun rhythm, with slightly slower pacing for secondary details before snapping back to rapid-fire.",
-  Emotion:
-    "Controlled urgency with subtle variation — urgency dominates, but allow tiny pitch shifts every few headlines to keep it human and engaging.",
-  Pronunciation:
-    "Very crisp and precise. Emphasize impact words like 'breaking,' 'alert,' 'urgent,' while letting filler words glide quickly.",
-  Pauses:
-    "Micro-pauses only — about 0.3–0.4s between headlines for breathing space, slightly longer (0.6s) after big impactful news before resuming speed.",
-};
-
-// ---------- NEWS (via Gemini) ----------
+const MAX_REPAIR_ATTEMPTS = Number(process.env.MAX_REPAIR_ATTEMPTS ?? 2);
+
+// ---------- NEWS (via LLM provider) ----------
 async function getNews(date) {
-  console.log("📰 Fetching news from Gemini for", date, "...");
+  let llm;
+  try {
+    llm = createLLMProvider();
+  } catch (err) {
+    console.warn("⚠️", err.message);
+    return { safeParsed: { India: [], World: [] }, youtubeSEO: {} };
+  }
 
-  const GEMINI_KEY = process.env.GEMINI_API_KEY || "";
-  if (!GEMINI_KEY) {
-    console.warn("⚠️ No Gemini API key found");
-    return { India: [], World: [] };
+  // ✅ Source material from the configured RSS/Atom feeds
+  let stories;
+  try {
+    stories = await getFeedStories(date);
+  } catch (err) {
+    console.error("❌ Feed ingestion failed:", err.message);
+    return { safeParsed: { India: [], World: [] }, youtubeSEO: {} };
   }
 
-  const genAI = new GoogleGenerativeAI(GEMINI_KEY);
-  const models = [
-    "gemini-1.5-flash",
-    "gemini-1.5-pro",
-    "gemini-pro",
-    "gemini-2.5-flash",
-    "gemini-2.5-pro",
-  ]; // fallback list
+  console.log(`📰 Fetching news from ${llm.name} for`, date, "...");
+
+  const models = llm.models; // fallback list
   let lastError;
   //  "title": "Generic headline for the bulletin with some hashtags, date, and 'With In 24 Hours News'",
   // "tags": "SEO-friendly, keyword-rich tags (approx. 250 characters, comma-separated) related to the news",
   // "hashtags": "SEO-friendly, keyword-rich hashtags (comma-separated) related to the news",
 
+  // ✅ Prompt shape comes from the language registry
+  const localNames = LANGUAGES.filter((l) => l !== "english")
+    .map((l) => getLanguage(l).name)
+    .join(" and ");
+  const ctaLines = LANGUAGES.map(
+    (l) => `   - ${l}: "${getLanguage(l).cta}"`
+  ).join("\n");
+  const itemExample = (sourceId) => {
+    const example = Object.fromEntries(
+      LANGUAGES.map((l) => [l, getLanguage(l).promptExample])
+    );
+    example.source_ids = [sourceId];
+    example.image_query = "3-6 English keywords for a photo of the story";
+    return JSON.stringify(example, null, 2).replace(/^/gm, "    ");
+  };
+
   const prompt =
     () => `You are a professional multilingual journalist and an expert geopolitical and economic analyst.
 Your task is to prepare a "Daily Knowledge Bulletin" for ${date} in valid JSON format, focusing on detailed, non-generic analysis.
+Use **only** the source stories listed at the end of this prompt; they are articles published during the editorial day.
 
 **Strict rules**:
-0. After generating the Hindi and Gujarati text, perform a final review to ensure perfect spelling and grammar.
-1. Insert CTA Message at the end of **only one** description (either in India or World section).
+0. After generating the ${localNames} text, perform a final review to ensure perfect spelling and grammar.
+1. Insert the CTA message at the end of **only one** item's description (either in India or World section), in every language of that item:
+${ctaLines}
 2. Focus on providing **detailed, non-generic information** in all fields, especially the 'description' and 'why_it_matters' sections.
 3. Provide only 4-5 major key events in each section ("India" and "World").
 4. News must be serious and knowledgeable: policy, economy, environment, science, technology, health, defence, or international relations.
 5. Exclude entertainment, celebrity, lifestyle, and sports.
 6. Do not use apostrophes in any field.
-7. After generating the Hindi and Gujarati text, perform a final proofreading step to strictly check and correct spelling, grammar, and natural phrasing. Output must read as if written by a native speaker with no mistakes.
+7. After generating the ${localNames} text, perform a final proofreading step to strictly check and correct spelling, grammar, and natural phrasing. Output must read as if written by a native speaker with no mistakes.
 8. Return only the final valid JSON object with no comments, explanations, or extra text.
+9. Every item must be derived from the source stories below. Do not add facts, figures, or events that are not in the sources; pick the most important stories of each section.
+10. In "source_ids" list the ids (e.g. "India-2") of the source stories each item is based on.
+11. Add "breaking": true to an item only if it is a genuinely breaking, fast-developing event; omit it otherwise.
+12. In "image_query" give 3-6 plain English keywords (people, places, objects) for finding a photo that fits the item; it is always English, whatever the other languages.
 
 The JSON must strictly follow this structure and be returned as a single valid JSON object only.
 {
 
   "India": [
-    {
-      "english": {
-        "title": "Factual headline (around 50 characters)",
-        "description": "Concise 2–3 sentence summary focusing on concrete, verifiable details. Avoid vague phrases like 'concerns remain' or 'mixed results'.",
-        "why_it_matters": "Sharp, 1–2 sentence analysis on the long-term impact on policy, economy, tech, science, or geopolitics. Explain the 'so what?' factor."
-      },
-      "hindi": {
-        "title": "गंभीर और सटीक हिन्दी शीर्षक (लगभग 50 अक्षर)",
-        "description": "तथ्यों पर आधारित 2–3 वाक्य का संक्षिप्त सारांश। वाक्य में विशिष्ट और ठोस जानकारी होनी चाहिए।",
-        "why_it_matters": "नीति, अर्थव्यवस्था, विज्ञान, या रक्षा पर दीर्घकालिक और वास्तविक प्रभाव का विश्लेषण।"
-      },
-      "gujarati": {
-        "title": "મુખ્ય અને સચોટ ગુજરાતી શીર્ષક (લગભગ 50 અક્ષર)",
-        "description": "તથ્ય આધારિત 2–3 વાક્યનું સંક્ષિપ્ત વર્ણન. વર્ણનમાં ચોક્કસ અને મજબૂત માહિતી હોવી જોઈએ.",
-        "why_it_matters": "નીતિ, અર્થતંત્ર, વિજ્ઞાન અથવા રક્ષણ પર લાંબા ગાળાનો અને વાસ્તવિક પ્રભાવ."
-      },
-      "india": true
-    }
+${itemExample("India-1")}
   ],
   "World": [
-    {
-      "english": {
-        "title": "Factual headline (around 50 characters)",
-        "description": "Concise 2–3 sentence summary focusing on concrete, verifiable details. Avoid vague phrases.",
-        "why_it_matters": "Sharp, 1–2 sentence analysis on the long-term impact on geopolitics, economy, climate, or health. Explain the 'so what?' factor."
-      },
-      "hindi": {
-        "title": "गंभीर और सटीक हिन्दी शीर्षक (लगभग 50 अक्षर)",
-        "description": "तथ्यों पर आधारित 2–3 वाक्य का संक्षिप्त सारांश।",
-        "why_it_matters": "अंतरराष्ट्रीय नीति, अर्थव्यवस्था, विज्ञान या रक्षा पर वास्तविक और दीर्घकालिक प्रभाव।"
-      },
-      "gujarati": {
-        "title": "મુખ્ય અને સચોટ ગુજરાતી શીર્ષક (લગભગ 50 અક્ષર)",
-        "description": "તથ્ય આધારિત 2–3 વાક્યનું સંક્ષિપ્ત વર્ણન.",
-        "why_it_matters": "આંતરરાષ્ટ્રીય નીતિ, અર્થતંત્ર, વિજ્ઞાન અથવા રક્ષણ પર વાસ્તવિક અને લાંબા ગાળાનો પ્રભાવ."
-      }
-    }
+${itemExample("World-1")}
   ]
  "title": The single best catchy YouTube Shorts title (45–60 characters) with India & Global context, urgency and curiosity hooks (e.g., "Shocking", "Within 24 Hrs"), today’s date (e.g., 22 Sept 2025), and 1–2 strong hashtags; return only the title text.
  "tags": 8–12 SEO-friendly, keyword-rich tags (approx. 250 characters, comma-separated) related to India & Global news, breaking news, economy, technology, geopolitics, and world updates.
  "hashtags": 3–5 relevant, keyword-rich hashtags (comma-separated) for YouTube Shorts, reflecting urgency and trending topics in India & Global news.
-}`;
+}
+
+**Source stories** (editorial day ending ${date}):
+${formatStoriesForPrompt(stories)}`;
 
   for (let attempt = 0; attempt < models.length; attempt++) {
     const modelName = models[attempt];
@@ -154,43 +184,64 @@ The JSON must strictly follow this structure and be returned as a single valid J
       console.log(
         `🔄 Attempt ${attempt + 1} with model: ${modelName} prompt: ${prompt()}`
       );
-      const model = genAI.getGenerativeModel({ model: modelName });
-
-      const res = await model.generateContent(await prompt());
 
-      // ✅ Extract raw text
-      const text = res?.response?.text ? res.response.text().trim() : "";
-      // console.log("✅ Gemini raw output:", text);
-
-      // ✅ Parse JSON safely
-      let parsed;
-      try {
-        const cleaned = cleanGeminiJSON(text);
-        parsed = JSON.parse(cleaned);
-      } catch (e) {
-        throw new Error("Gemini returned invalid JSON: " + text);
-      }
-
-      // ✅ Always return arrays
-      const safeParsed = {
-        India: Array.isArray(parsed.India) ? parsed.India : [],
-        World: Array.isArray(parsed.World) ? parsed.World : [],
-      };
-      const youtubeSEO = {
-        Title: parsed.title,
-        Tags: parsed.tags,
-        Hashtags: parsed.hashtags,
-      };
-
-      // ✅ Stop retrying if we got valid news
-      if (safeParsed.India.length > 0 || safeParsed.World.length > 0) {
-        console.log(
-          `✅ Got ${safeParsed.India.length} India news & ${safeParsed.World.length} World news`
+      let currentPrompt = prompt();
+      for (let repair = 0; repair <= MAX_REPAIR_ATTEMPTS; repair++) {
+        // ✅ Extract raw text
+        const text = await llm.generate(modelName, currentPrompt);
+        // console.log("✅ Raw model output:", text);
+
+        // ✅ Parse + validate against the bulletin schema
+        const { parsed, errors } = parseBulletin(text, stories);
+        if (errors.length === 0) {
+          const { safeParsed, youtubeSEO } = normalizeBulletin(parsed, stories);
+
+          // ✅ Cross-day dedupe against the story history
+          const duplicates = findDuplicates(safeParsed, date);
+          const repeats = duplicates.filter((d) => !d.followUp);
+          if (repeats.length > 0 && repair < MAX_REPAIR_ATTEMPTS) {
+            console.warn(
+              `⚠️ ${repeats.length} items repeat previous days, re-prompting ${modelName} (${repair + 1})`
+            );
+            currentPrompt = buildDedupePrompt(prompt(), text, repeats);
+            continue;
+          }
+
+          const { bulletin, dropped } = dropDuplicates(safeParsed, duplicates);
+          dropped.forEach((d) =>
+            console.warn(`🗑️ Dropped "${d.title}": ${d.reason} (${d.matchedDate})`)
+          );
+          recordRun(date, "dedupe", {
+            days: DEDUPE_DAYS,
+            threshold: DEDUPE_THRESHOLD,
+            dropped,
+            followUps: duplicates.filter((d) => d.followUp),
+          });
+
+          // Too few stories left: the next model gets a fresh repair loop
+          const short = Object.entries(BULLETIN_SCHEMA.sections)
+            .filter(([section, rule]) => bulletin[section].length < rule.minItems)
+            .map(([section]) => `${section} (${bulletin[section].length})`);
+          if (short.length > 0) {
+            throw new Error(`Too few items left after dropping repeats: ${short.join(", ")}`);
+          }
+
+          console.log(
+            `✅ Got ${bulletin.India.length} India news & ${bulletin.World.length} World news`
+          );
+          return { safeParsed: bulletin, youtubeSEO };
+        }
+
+        console.warn(
+          `⚠️ ${modelName} output failed validation (${errors.length} errors):\n${formatValidationErrors(errors)}`
         );
-        return { safeParsed, youtubeSEO };
-      }
+        if (repair === MAX_REPAIR_ATTEMPTS) {
+          throw new Error(`Bulletin still invalid after ${repair} repairs`);
+        }
 
-      throw new Error("Empty news arrays");
+        console.log(`🛠️ Re-prompting ${modelName} to repair (${repair + 1})`);
+        currentPrompt = buildRepairPrompt(prompt(), text, errors);
+      }
     } catch (err) {
       lastError = err;
       console.error(`❌ Attempt ${attempt + 1} failed:`, err.message);
@@ -202,384 +253,335 @@ The JSON must strictly follow this structure and be returned as a single valid J
 
   // ✅ Fallback result if all retries fail
   console.error("❌ All retries failed:", lastError?.message);
-  return { India: [], World: [] };
+  return { safeParsed: { India: [], World: [] }, youtubeSEO: {} };
 }
 
-// ---------- TTS ----------
-async function fetchTTS({ content, folderPath }) {
-  const apiUrl = "https://www.openai.fm/api/generate";
+// ✅ Parse model text into JSON and collect schema errors
+function parseBulletin(text, stories) {
+  let parsed;
   try {
-    const finalURL = `${apiUrl}?input=${encodeURIComponent(
-      content
-    )}&prompt=${encodeURIComponent(
-      JSON.stringify(vibe)
-    )}&voice=${voice}&generation=67612c8-4975-452f-af3f-d44cca8915e5`;
-
-    const res = await axios.get(finalURL, {
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/115.0.0.0 Safari/537.36",
-      },
-      responseType: "arraybuffer",
-      timeout: 60_000,
-    });
-
-    fs.writeFileSync(folderPath, res.data);
-    console.log(`✅ Audio saved: ${folderPath}`);
-  } catch (err) {
-    console.error("❌ Failed TTS:", err.message);
-    throw err;
-  }
-}
-
-// ---------- FFPROBE (promise wrapper) ----------
-function ffprobePromise(file) {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(file, (err, metadata) => {
-      if (err) return reject(err);
-      resolve(metadata);
-    });
-  });
-}
-
-// ---------- GOOGLE IMAGE SCRAPING ----------
-async function fetchImage(query, savePath) {
-  const url = `https://in.images.search.yahoo.com/search/images?p=${encodeURIComponent(
-    query
-  )}`;
-  try {
-    const { data } = await axios.get(url, {
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36",
-      },
-    });
-
-    const $ = cheerio.load(data);
-    let firstValidImage = null;
-
-    $("li.ld").each((i, el) => {
-      if (firstValidImage) return; // stop after first valid
-
-      const dataAttr = $(el).attr("data") || "";
-      const ariaLabel = $(el).find("a.img").attr("aria-label") || "";
-      const imgSrc =
-        $(el).find("img").attr("data-src") || $(el).find("img").attr("src");
-
-      if (!imgSrc) return;
-
-      if (dataAttr.toLowerCase().includes("youtube")) {
-        console.log(`❌ Skipped (YouTube) #${i + 1}`);
-      } else {
-        // Clean URL (remove ?pid= and other query params)
-        const cleanUrl = imgSrc.split("?")[0];
-        firstValidImage = { ariaLabel, cleanUrl };
-        console.log(`✅ First Valid Image Found:`);
-        // console.log(`   🏷️ ${ariaLabel}`);
-        // console.log(`   📷 ${cleanUrl}`);
-      }
-    });
-
-    // ✅ Download the first valid image
-    if (firstValidImage) {
-      const response = await axios.get(firstValidImage.cleanUrl, {
-        responseType: "arraybuffer",
-      });
-      await sharp(response.data)
-        .resize(970, 950, {
-          fit: "contain",
-          background: { r: 0, g: 0, b: 0, alpha: 0 }, // red
-        })
-        .png()
-        .toFile(savePath);
-
-      console.log(`💾 Image saved as ${savePath}`);
-    } else {
-      console.log("⚠️ No valid images to download!");
-    }
-  } catch (err) {
-    console.error("❌ Error fetching images:", err.message);
+    parsed = JSON.parse(cleanGeminiJSON(text));
+  } catch (e) {
+    return {
+      parsed: null,
+      errors: [{ path: "$", message: `is not valid JSON (${e.message})` }],
+    };
   }
 
-  return savePath;
+  return { parsed, errors: validateBulletin(parsed, stories).errors };
 }
 
-async function getVideoDimensions(videoFile) {
-  const metadata = await ffprobePromise(videoFile);
-  const stream = metadata.streams.find((s) => s.width && s.height);
-  return { width: stream.width, height: stream.height };
+// ---------- ITEM STAGES ----------
+// Audio, image and reels of every item are separate pipeline tasks (see
+// buildPipeline). Narration and image search wait for a "network" worker,
+// ffmpeg work for a "cpu" worker (scheduler.js), so one item can encode
+// while the next is still being narrated. Story images are picked one at
+// a time.
+
+// State shared by the item tasks of one run; runBulletin starts the
+// progress bars once it knows which tasks will run
+function createRun(outputDir, date) {
+  return {
+    outputDir,
+    date,
+    narration: [],
+    profilesUsed: {},
+    images: {},
+    usedHashes: [],
+    truncations: [],
+    timelines: {},
+    progress: { tick() {}, stop() {} },
+  };
 }
 
-// ---------- PREPARE TEXT ----------
-function prepareText(text, maxLineLength = 45) {
-  const words = text.split(" ");
-  let lines = [];
-  let line = "";
-
-  words.forEach((word) => {
-    if ((line + word).length > maxLineLength) {
-      lines.push(line.trim());
-      line = word + " ";
-    } else {
-      line += word + " ";
-    }
-  });
-  if (line) lines.push(line.trim());
-  return lines.join("\n");
+function startProgress(run, tasks) {
+  const count = (stage) => tasks.filter((task) => task.stage === stage).length;
+  const totals = {
+    audio: count("tts"),
+    image: count("images"),
+    reel: count("render") * FORMATS.length,
+  };
+  console.log(`⚙️ Workers: ${pools.network.limit} network, ${pools.cpu.limit} cpu`);
+  run.progress = createProgress(
+    Object.fromEntries(Object.entries(totals).filter(([, total]) => total > 0))
+  );
 }
 
-function overlayImage(path) {
-  const { videoFile, imageFile, outputFile } = path;
-  // console.log("🎬 Input video:", videoFile);
-  // console.log("🖼️ Input image:", imageFile);
-  // console.log("📂 Output file:", outputFile);
-
-  return new Promise((resolve, reject) => {
-    if (!videoFile || !imageFile || !outputFile) {
-      return reject(new Error("❌ Missing file path!"));
-    }
-
-    // console.log("🎬 Input video:", videoFile);
-    // console.log("🖼️ Input image:", imageFile);
-    // console.log("📂 Output file:", outputFile);
-
-    ffmpeg(videoFile)
-      .input(imageFile)
-      .complexFilter([
-        {
-          filter: "overlay",
-          options: { x: "50", y: "50" },
-        },
-      ])
-      .outputOptions(["-pix_fmt yuv420p", "-c:a copy"])
-      .save(outputFile)
-      .on("end", () => resolve(`✅ Done: ${outputFile}`))
-      .on("error", (err) => reject(err));
-  });
+function finishRun(run) {
+  run.progress.stop();
+  const cacheStats = getCacheStats();
+  console.log("📦 Cache:", JSON.stringify(cacheStats));
+  recordRun(run.date, "cache", cacheStats);
 }
 
-// ---------- REEL ----------
-function generateReel({
-  imageFile,
-  videoFile,
-  audioFile,
-  titleText,
-  descText,
-  outputFile,
-}) {
-  return new Promise(async (resolve, reject) => {
+// Narration of one item in one language. Resolves { audioPath, speech, profile }.
+async function itemAudio(item, run) {
+  const { outputDir, date } = run;
+  const lang = getLanguage(item.language);
+  const key = stageKey(item.id + 1, item.language);
+
+  const audioPath = path.join(
+    outputDir,
+    `audio_${item.id + 1}_${item.language}.mp3`
+  );
+
+  const profile = resolveVoiceProfile(item);
+  let speech;
+  const audioDone = completedStage(date, key, "audio");
+  if (audioDone) {
+    console.log(`♻️ Audio already done for News ${item.id + 1}: ${audioPath}`);
+    speech = { ...audioDone.speech, cached: true };
+  } else {
     try {
-      const metadata = await ffprobePromise(audioFile);
-      const duration = metadata.format.duration || 30;
-      const { width: videoWidth } = await getVideoDimensions(videoFile);
-      console.log("🎬 Reel width:", videoWidth);
-      console.log("🎵 Audio duration:", duration);
-
-      const fontTitle = path.join(process.cwd(), "assests/font/Nirmala-UI.ttf");
-      const fontDesc = path.join(process.cwd(), "assests/font/Nirmala-UI.ttf");
-
-      const fontTitleSafe = fs.existsSync(fontTitle)
-        ? fontTitle
-        : "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf";
-      const fontDescSafe = fs.existsSync(fontDesc)
-        ? fontDesc
-        : "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf";
-
-      const filter = [
-        // Scale image to video width, height = 800, add alpha fade
-        `[1:v]scale=1080:800,format=rgba,fade=t=in:st=0:d=1:alpha=1,fade=t=out:st=15.05:d=1:alpha=1[img]`,
-
-        // Overlay image at top
-        `[0:v][img]overlay=x=0:y=0[bg]`,
-
-        // Title text
-        `[bg]drawtext=fontfile='${fontTitleSafe}':text='${titleText}':fontcolor=white:fontsize=50:x='if(lt(t,0.8), -text_w + (60+text_w)*(t/0.8), 60)':y=1190:alpha='if(lt(t,0.8),(t/0.8),1)':shadowcolor=black:shadowx=2:shadowy=2:line_spacing=15[vid1]`,
-
-        // Description text
-        `[vid1]drawtext=fontfile='${fontDescSafe}':text='${descText}':fontcolor=yellow:fontsize=36:x='if(lt(t,1.6), -text_w + (60+text_w)*((t-0.8)/0.8), 60)':y=1390:alpha='if(lt(t,1.6),((t-0.8)/0.8),1)':line_spacing=16:shadowcolor=black:shadowx=1:shadowy=1[vid2]`,
-      ];
-
-      ffmpeg()
-        .input(videoFile)
-        .input(imageFile) // [1:v] for overlay
-        .input(audioFile)
-        .complexFilter(filter)
-        .outputOptions([
-          "-map [vid2]",
-          "-map 2:a?",
-          "-c:v libx264",
-          "-crf 18",
-          "-preset medium",
-          "-c:a aac",
-          `-t ${Math.round(duration)}`,
-        ])
-        // .on("start", (cmd) =>
-        //   console.log("FFmpeg started (generateReel):", cmd)
-        // )
-        .on("end", () => {
-          console.log("✅ Reel generated:", outputFile);
-          resolve();
-        })
-        .on("error", (err) => {
-          console.error("❌ FFmpeg error (generateReel):", err.message || err);
-          reject(err);
-        })
-        .save(outputFile);
-    } catch (err) {
-      reject(err);
-    }
-  });
-}
-
-// ---------- Generate TTS for news array ----------
-async function generateTTS(allNews, outputDir) {
-  console.log("🔊 Generating TTS...");
-
-  //const allNews = [...(newsData?.India || []), ...(newsData?.World || [])];
-
-  if (allNews.length === 0) {
-    console.warn("⚠️ No news available to generate TTS.");
-    return [];
-  }
-
-  const audioFiles = [];
-
-  for (let i = 0; i < allNews.length; i++) {
-    const item = allNews[i];
-    // console.log("item:", item.id + 1);
-
-    const audioPath = path.join(
-      outputDir,
-      `audio_${item.id + 1}_${item.language}.mp3`
-    );
-    await sleep(2000 + Math.random() * 3000);
-    console.log(`🎙️ Generating audio for News ${item.id + 1}: ${item.title}`);
-
-    try {
-      await fetchTTS({
-        content: item.description,
-        folderPath: audioPath,
+      // Provider pacing happens inside synthesizeSpeech (rateLimit)
+      speech = await pools.network.run(() => {
+        console.log(`🎙️ Generating audio for News ${item.id + 1}: ${item.title}`);
+        return synthesizeSpeech({
+          text: item.description,
+          outputPath: audioPath,
+          voice: profile.voice,
+          instructions: profileInstructions(profile),
+          speed: profile.speed,
+          language: lang,
+        });
+      });
+      speech.loudness = await pools.cpu.run(async () => {
+        await padAudio(audioPath, profile.pauses?.before, profile.pauses?.after);
+        return normalizeLoudness(audioPath);
       });
+      speech.duration +=
+        (profile.pauses?.before || 0) + (profile.pauses?.after || 0);
     } catch (err) {
-      console.warn("Skipping this item due to TTS error:", item.title);
-      continue;
+      console.error("❌ Failed TTS:", err.message);
+      markStage(date, key, "audio", null, { status: "failed", error: err.message });
+      throw err;
     }
 
-    audioFiles.push({
-      path: audioPath,
-      title: item.title,
-      desc: item.description,
+    markStage(date, key, "audio", null, {
+      artifacts: { audio: audioPath },
+      speech: {
+        engine: speech.engine,
+        duration: speech.duration,
+        loudness: speech.loudness,
+      },
     });
+  }
 
-    const title = await prepareText(
-      item.title || "",
-      item.language == "english" ? 40 : item.language == "gujarati" ? 36 : 38
-    );
-    const description = await prepareText(item.description || "", 50);
-    console.log("Description:", title, description);
-    var outputVideoFile = path.join(
-      outputDir,
-      `output_${item.id + 1}_${item.language}.mp4`
-    );
-    const imgPath = path.join(outputDir, `img${item.id + 1}.png`);
+  run.narration.push({
+    id: item.id + 1,
+    language: item.language,
+    ...profile.context,
+    profile: profile.name,
+    engine: speech.engine,
+    duration: Number(speech.duration.toFixed(2)),
+    inputLUFS: speech.loudness.inputLUFS,
+  });
+  run.narration.sort((a, b) => a.id - b.id || a.language.localeCompare(b.language));
+  run.profilesUsed[profile.name] = getVoiceProfile(profile.name);
+  recordRun(date, "narration", { profiles: run.profilesUsed, items: run.narration });
 
-    try {
-      // Check if file exists
-      await fs.access(imgPath);
+  return { audioPath, speech, profile };
+}
+
+// img<N>.png of a story, shared by all its languages: reused when it
+// exists, otherwise searched with the bulletin's English image_query
+// (the first language's title for bulletins without one).
+// Resolves the image path.
+async function storyImage(story, run) {
+  const { outputDir, date } = run;
+  const [item] = story;
+  const id = item.id + 1;
+  const imgPath = path.join(outputDir, `img${id}.png`);
+  const markAll = (data) =>
+    story.forEach((s) => markStage(date, stageKey(id, s.language), "image", null, data));
+
+  // One story at a time, see pools.images
+  await pools.images.run(async () => {
+    if (fs.existsSync(imgPath)) {
       console.log(`✅ Image already exists: ${imgPath}`);
-    } catch {
-      // File does not exist, generate it
-      try {
-        await fetchImage(item.title, imgPath);
-        console.log(`🖼️ Image generated: ${imgPath}`);
-      } catch (err) {
-        console.error(
-          "❌ Failed to generate image for item:",
-          item.title,
-          err.message || err
-        );
-      }
+      run.images[id] = readAttribution(imgPath) || { provider: "existing" };
+      run.usedHashes.push(await imageHash(imgPath));
+      return;
     }
     try {
-      await overlayImage({
-        videoFile: item.india
-          ? path.join(process.cwd(), "assests/REELS/Reel_3.mp4")
-          : path.join(process.cwd(), "assests/REELS/Reel_4.mp4"),
-        imageFile: imgPath,
-        outputFile: outputVideoFile,
-      });
-    } catch (err) {
-      console.error(
-        "❌ Failed to generate reel for item:",
-        item.title,
-        err.message || err
+      const image = await pools.network.run(() =>
+        findImage({
+          query: item.image_query || item.title,
+          savePath: imgPath,
+          section: item.india ? "India" : "World",
+          fontFile: getLanguage(item.language).font,
+          usedHashes: run.usedHashes,
+        })
       );
-    }
-    // console.log("🎬 Output video: 909090", path.join(outputVideoFile));
-    sleep(2000 + Math.random() * 3000);
-
-    try {
-      await generateReel({
-        imageFile: imgPath,
-        videoFile: path.join(outputVideoFile),
-        audioFile: audioPath,
-        titleText: title,
-        descText: description,
-        outputFile: path.join(
-          outputDir,
-          `reel_${item.language}${item.id + 1}.mp4`
-        ),
-      });
+      run.usedHashes.push(image.hash);
+      run.images[id] = readAttribution(imgPath);
+      recordRun(date, "images", run.images);
     } catch (err) {
       console.error(
-        "❌ Failed to generate reel for item:",
+        "❌ Failed to generate image for item:",
         item.title,
         err.message || err
       );
+      markAll({ status: "failed", error: err.message });
+      throw err;
     }
-  }
+  });
 
-  return audioFiles;
+  if (!story.every((s) => completedStage(date, stageKey(id, s.language), "image"))) {
+    markAll({ artifacts: { image: imgPath }, provider: run.images[id]?.provider });
+  }
+  return imgPath;
 }
 
-function getAllVideos(folderPath, language) {
-  if (!fs.existsSync(folderPath)) return [];
+// Captions and one reel per output format for one item in one language.
+// Rejects when any format failed, after trying them all.
+async function itemReels(item, audio, imgPath, run) {
+  const { outputDir, date } = run;
+  const key = stageKey(item.id + 1, item.language);
+  const { speech, profile } = audio;
+
+  // ✅ Timed captions next to each format's reel, styled for its size
+  // (speech sits between the profile pauses)
+  const reelBase = path.join(outputDir, `reel_${item.language}${item.id + 1}`);
+  const before = profile.pauses?.before || 0;
+  const spoken = speech.duration - before - (profile.pauses?.after || 0);
+  const cues = buildCues(item.description || "", spoken, before);
+  if (!completedStage(date, key, "overlay")) {
+    const artifacts = {};
+    FORMATS.forEach((formatKey) => {
+      const { size } = templateFor(getFormat(formatKey));
+      const subtitles = writeSubtitles(`${reelBase}_${formatKey}`, cues, size);
+      console.log(`💬 Subtitles (${cues.length} cues): ${subtitles.srt}`);
+      artifacts[`srt_${formatKey}`] = subtitles.srt;
+      artifacts[`ass_${formatKey}`] = subtitles.ass;
+    });
+    markStage(date, key, "overlay", null, { artifacts, cues: cues.length });
+  }
 
-  const files = fs.readdirSync(folderPath);
+  // ✅ One reel per output format, each with its own layout
+  const job = { item, key, reelBase, imgPath, ...audio, cues };
+  const results = await Promise.allSettled(
+    FORMATS.map((formatKey) =>
+      renderFormat({ ...job, formatKey }, run).finally(() => run.progress.tick("reel"))
+    )
+  );
+  const failed = FORMATS.filter((f, i) => results[i].status === "rejected");
+  if (failed.length > 0) throw new Error(`${failed.join(", ")} reel failed`);
+  return FORMATS.map((formatKey) => `${reelBase}_${formatKey}.mp4`);
+}
 
-  // Match "reel_{language}{number}.mp4"
-  const videoFiles = files.filter((file) => {
-    const match = file.match(new RegExp(`^reel_${language}(\\d+)\\.mp4$`, "i"));
-    return match !== null;
-  });
+// One format's reel of an item (a job from itemReels), on a cpu worker
+async function renderFormat(job, run) {
+  const { item, key, formatKey, reelBase, imgPath } = job;
+  const { audioPath, speech, profile, cues } = job;
+  const { date } = run;
+  const lang = getLanguage(item.language);
+  const template = templateFor(getFormat(formatKey));
+  const formatBase = `${reelBase}_${formatKey}`;
+  const outputFile = `${formatBase}.mp4`;
+
+  if (completedStage(date, key, "reel", formatKey)) {
+    console.log(`♻️ ${formatKey} reel already done: ${outputFile}`);
+    return;
+  }
 
-  // Sort numerically by the number
-  videoFiles.sort((a, b) => {
-    const numA = parseInt(
-      a.match(new RegExp(`^reel_${language}(\\d+)\\.mp4$`, "i"))[1],
-      10
+  try {
+    const { textFit, timeline } = await pools.cpu.run(() =>
+      generateReel({
+        template,
+        section: item.india ? "India" : "World",
+        imageFile: imgPath,
+        audioFile: audioPath,
+        audioDuration: speech.duration,
+        pauses: profile.pauses,
+        text: { title: item.title || "", description: item.description || "" },
+        fontFile: lang.font,
+        subtitleFile: burnInEnabled()
+          ? writeASS(formatBase, cues, template.size)
+          : null,
+        outputFile,
+      })
     );
-    const numB = parseInt(
-      b.match(new RegExp(`^reel_${language}(\\d+)\\.mp4$`, "i"))[1],
-      10
+
+    // ⚠️ Text that did not fit even at the minimum size was cut
+    Object.entries(textFit).forEach(([field, fit]) => {
+      if (!fit.truncated) return;
+      console.warn(
+        `⚠️ ${field} truncated to fit (${item.language} #${item.id + 1}, ${formatKey}):`,
+        item.title
+      );
+      run.truncations.push({
+        id: item.id + 1,
+        language: item.language,
+        format: formatKey,
+        field,
+        ...fit,
+      });
+    });
+    recordRun(date, "textFit", { truncated: run.truncations });
+
+    run.timelines[path.basename(outputFile)] = timeline;
+    recordRun(date, "timeline", run.timelines);
+
+    markStage(date, key, "reel", formatKey, { artifacts: { reel: outputFile } });
+    // A new reel makes the language's merged final stale
+    markStage(date, stageKey(null, item.language), "merge", formatKey, {
+      status: "pending",
+    });
+  } catch (err) {
+    console.error(
+      `❌ Failed to generate ${formatKey} reel for item:`,
+      item.title,
+      err.message || err
     );
-    return numA - numB;
-  });
+    markStage(date, key, "reel", formatKey, { status: "failed", error: err.message });
+    // A partial file must not pass for a reel
+    fs.rmSync(outputFile, { force: true });
+    throw err;
+  }
+}
 
-  return videoFiles.map((file) => path.join(folderPath, file));
+// Story numbers (1-based) of the bulletin saved for the date
+function bulletinStoryIds(date) {
+  const { India = [], World = [] } = readManifest(date).bulletin?.safeParsed || {};
+  return [...India, ...World].map((_, index) => index + 1);
+}
+
+// The language's reels of one format that the manifest records as rendered
+// for the current bulletin, in story order. Failed renders and reels left
+// over from an earlier bulletin are not merged.
+function finishedReels(date, language, format) {
+  return bulletinStoryIds(date)
+    .map((id) => finishedStage(date, stageKey(id, language), "reel", format))
+    .filter(Boolean)
+    .map((record) => record.artifacts.reel);
 }
 
 function checkStreams(file) {
   return new Promise((resolve, reject) => {
-    exec(`ffprobe -v error -show_streams -of json "${file}"`, (err, stdout) => {
-      if (err) return reject(err);
-
-      const info = JSON.parse(stdout);
-      const hasVideo = info.streams.some((s) => s.codec_type === "video");
-      const hasAudio = info.streams.some((s) => s.codec_type === "audio");
-
-      resolve({ file, hasVideo, hasAudio });
-    });
+    exec(
+      `ffprobe -v error -show_streams -show_format -of json "${file}"`,
+      (err, stdout) => {
+        if (err) return reject(err);
+
+        const info = JSON.parse(stdout);
+        const video = info.streams.find((s) => s.codec_type === "video");
+        const hasVideo = Boolean(video);
+        const hasAudio = info.streams.some((s) => s.codec_type === "audio");
+        // The video stream's length is what transitions are timed against
+        const duration =
+          Number(video?.duration) || Number(info.format?.duration) || 0;
+
+        resolve({
+          file,
+          hasVideo,
+          hasAudio,
+          duration,
+          width: video?.width,
+          height: video?.height,
+        });
+      }
+    );
   });
 }
 
@@ -592,19 +594,28 @@ async function validateVideos(videoFiles) {
   return results;
 }
 
-async function mergeVideos(videoFiles, outputFile) {
-  const results = await validateVideos(videoFiles);
+// Merges the segments at `size` ({ width, height }, default: the first
+// segment's) with the configured transition (transitions.js). Files in
+// `crop` are scaled and cropped to fill the frame instead of padded.
+// Resolves { file, transition, duration, segments: [{ file, start, duration }] }
+// where `start` is the second each segment begins at in the merged video.
+async function mergeVideos(videoFiles, outputFile, size = {}, { crop = [] } = {}) {
+  const results = (await validateVideos(videoFiles)).map((r) => ({
+    ...r,
+    fit: crop.includes(r.file) ? "crop" : "pad",
+  }));
 
   const broken = results.filter((r) => !r.hasAudio);
   if (broken.length > 0) {
     console.warn(
-      "⚠️ These files have no audio:",
+      "⚠️ These files have no audio (silence will be added):",
       broken.map((b) => b.file)
     );
-    // Option A: fix them by adding silent audio before merge
-    // Option B: merge only video (`a:0`)
   }
 
+  const stinger = stingerFile();
+  const stingerInfo = stinger ? await checkStreams(stinger) : null;
+
   return new Promise((resolve, reject) => {
     if (!Array.isArray(videoFiles) || videoFiles.length === 0) {
       return reject(new Error("No videos provided to merge."));
@@ -613,18 +624,35 @@ async function mergeVideos(videoFiles, outputFile) {
     const ff = ffmpeg();
 
     videoFiles.forEach((file) => ff.input(file));
+    let nextInput = videoFiles.length;
+
+    // ✅ Per-segment loudness + boundary fades, then the transitions
+    const audioFilters = results.map((r, i) => segmentAudioFilter(i, r));
+    if (stinger) ff.input(stinger);
+    const merged = transitionFilters(results, {
+      width: size.width || results[0].width || 1080,
+      height: size.height || results[0].height || 1920,
+      stinger: stinger && { index: nextInput++, hasAudio: stingerInfo.hasAudio },
+    });
+    const filter = [...audioFilters, ...merged.filter];
+    console.log(
+      `🎞️ Transition: ${merged.type}, total ${merged.duration}s, starts:`,
+      merged.starts.join(", ")
+    );
 
-    ff.complexFilter([
-      {
-        filter: "concat",
-        options: {
-          n: videoFiles.length, // number of input files
-          v: 1,
-          a: 1,
-        },
-      },
-    ])
+    // ✅ Optional music bed looped under the whole bulletin, ducked by speech
+    const music = musicBedFile();
+    let audioOut = `[${merged.audioLabel}]`;
+    if (music) {
+      ff.input(music).inputOptions(["-stream_loop -1"]);
+      filter.push(...musicBedFilters(nextInput++, merged.audioLabel, merged.duration));
+      audioOut = "[aout]";
+    }
+
+    ff.complexFilter(filter)
       .outputOptions([
+        `-map [${merged.videoLabel}]`,
+        `-map ${audioOut}`,
         "-y",
         "-c:v libx264",
         "-crf 23",
@@ -635,9 +663,29 @@ async function mergeVideos(videoFiles, outputFile) {
         "-ar 44100",
       ])
       // .on("start", (cmd) => console.log("FFmpeg started (merge):", cmd))
-      .on("end", () => {
+      .on("end", async () => {
         console.log("✅ Videos merged:", outputFile);
-        resolve();
+
+        // Offsets come from each segment's ffprobe'd length; check the sum
+        // against the merged file so drifting chapters get noticed
+        const probed = await getMediaDuration(outputFile).catch(() => null);
+        if (probed && Math.abs(probed - merged.duration) > 0.25) {
+          console.warn(
+            `⚠️ Merged length ${probed.toFixed(2)}s differs from the planned ${merged.duration}s:`,
+            outputFile
+          );
+        }
+
+        resolve({
+          file: outputFile,
+          transition: merged.type,
+          duration: probed ? Number(probed.toFixed(3)) : merged.duration,
+          segments: results.map((r, i) => ({
+            file: path.basename(r.file),
+            start: merged.starts[i],
+            duration: Number(r.duration.toFixed(3)),
+          })),
+        });
       })
       .on("error", (err) => {
         console.error("❌ FFmpeg merge error:", err.message || err);
@@ -647,81 +695,343 @@ async function mergeVideos(videoFiles, outputFile) {
   });
 }
 
-// ---------- MAIN ----------
-(async () => {
-  console.log("🚀 Starting news reel automation...");
+// ---------- BULLETIN ----------
+// Resolves the per-language items of the day's bulletin (see buildPipeline).
+// `bulletin` ({ safeParsed, youtubeSEO }, e.g. from cli.js --from-file)
+// replaces the saved one. A dry run writes nothing and resolves null when
+// the bulletin would have to be fetched.
+async function prepareBulletin(date, outputDir, { bulletin, dryRun = false } = {}) {
+  // ✅ A re-run for the same date keeps the bulletin it already wrote
+  let bulletinData = bulletin || savedBulletin(date);
+  if (bulletin) {
+    checkLanguages(bulletin, "The given bulletin");
+    console.log("📄 Using the given bulletin for", date);
+    if (!dryRun) saveBulletin(date, bulletinData);
+  } else if (bulletinData) {
+    checkLanguages(
+      bulletinData,
+      `The saved bulletin for ${date} (fetch a new one with RESUME=off)`
+    );
+    console.log("♻️ Resuming with the saved bulletin for", date);
+  } else if (dryRun) {
+    return null;
+  } else {
+    bulletinData = await getNews(date);
+    const { India = [], World = [] } = bulletinData.safeParsed;
+    if (India.length + World.length > 0) saveBulletin(date, bulletinData);
+  }
+  let { safeParsed, youtubeSEO } = bulletinData;
 
-  try {
-    const date = getYesterday();
-    console.log("📅 Date:", date);
-    const outputDir = getOutputDirForDate(date);
-    let { safeParsed, youtubeSEO } = await getNews(date);
-
-    var newsORG = {
-      ...safeParsed,
-      ...youtubeSEO,
-    };
+  var newsORG = {
+    ...safeParsed,
+    ...youtubeSEO,
+  };
 
-    // Convert object to a formatted string
-    const newsText =
-      typeof newsORG === "string" ? newsORG : JSON.stringify(newsORG, null, 2);
+  // Convert object to a formatted string
+  const newsText =
+    typeof newsORG === "string" ? newsORG : JSON.stringify(newsORG, null, 2);
 
-    // ✅ Ensure outputDir exists
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
-
-    // ✅ Write to file
+  // ✅ Write to file
+  if (!dryRun) {
     fs.writeFileSync(
       path.join(outputDir, `news_${date}.txt`),
       newsText,
       "utf-8"
     );
+  }
+
+  const allNews = [
+    ...(safeParsed?.India || []),
+    ...(safeParsed?.World || []),
+  ];
+  if (allNews.length === 0) throw new Error("No news available for " + date);
+
+  return allNews.flatMap((item, index) =>
+    LANGUAGES.map((lang) => ({
+      id: index,
+      ...item[lang],
+      language: lang,
+      india: item.india,
+      breaking: item.breaking,
+      image_query: item.image_query,
+    }))
+  );
+}
 
-    const allNews = [
-      ...(safeParsed?.India || []),
-      ...(safeParsed?.World || []),
-    ];
-    const news = allNews.flatMap((item, index) =>
-      Object.entries(item).map(([lang, content]) => ({
-        id: index,
-        ...content,
-        language: lang,
-        india: index < 4,
-      }))
+// A bulletin made for other LANGUAGES (e.g. saved by a --lang gujarati
+// run) has no text to narrate for the missing ones
+function checkLanguages({ safeParsed }, what) {
+  const blocks = new RegExp(`\\.(${LANGUAGES.join("|")})(\\.|$)`);
+  const errors = validateBulletin(safeParsed).errors.filter((e) => blocks.test(e.path));
+  if (errors.length > 0) {
+    throw new Error(
+      `${what} does not cover LANGUAGES=${LANGUAGES.join(",")}:\n${formatValidationErrors(errors)}`
     );
+  }
+}
 
-    // // 1️⃣ Generate TTS and reels
-    const audioFiles = await generateTTS(news, outputDir);
+// ---------- MERGE ----------
+// Every enabled format's final for one language from its finished reels
+// (finishedReels), with the format's intro/outro. Tries all formats, then
+// rejects if any of them failed.
+async function mergeLanguage(date, outputDir, lang) {
+  const errors = [];
+
+  for (const formatKey of FORMATS) {
+    const format = getFormat(formatKey);
+    const finalOutput = path.join(outputDir, finalFileName(lang, formatKey));
+    if (completedStage(date, stageKey(null, lang), "merge", formatKey)) {
+      console.log("♻️ Already merged:", finalOutput);
+      continue;
+    }
 
-    // 2️⃣ Get all generated reels
-    ["gujarati", "hindi", "english"].forEach(async (lang) => {
-      const videos = getAllVideos(outputDir, lang);
-      console.log("All generated videos in output dir:", videos);
+    try {
+      const videos = finishedReels(date, lang, formatKey);
+      console.log(`Rendered ${formatKey} reels of the bulletin:`, videos);
+      if (videos.length === 0) throw new Error("No reels to merge");
 
-      // 3️⃣ Merge with intro/outro
+      const bumpers = [format.intro, format.outro]
+        .filter(Boolean)
+        .map((file) => path.join(process.cwd(), file));
       const allVideos = [
-        path.join(process.cwd(), "assests/REELS/Reel_1.mp4"),
-        // path.join(process.cwd(), "assests/REELS/Reel_2.mp4"),
+        format.intro && path.join(process.cwd(), format.intro),
         ...videos,
-        path.join(process.cwd(), "assests/REELS/Reel_5.mp4"),
-      ].filter((p) => fs.existsSync(p));
-
+        format.outro && path.join(process.cwd(), format.outro),
+      ].filter((p) => p && fs.existsSync(p));
       console.log("🎬 Videos to merge:", allVideos);
 
-      if (allVideos.length === 0) {
-        throw new Error("No videos to merge - aborting.");
-      }
-
-      const finalOutput = path.join(outputDir, `final_${lang}_video.mp4`);
-      await mergeVideos(allVideos, finalOutput, lang);
+      // Bumpers of another shape fill the frame when the format says "crop"
+      const merged = await pools.cpu.run(() =>
+        mergeVideos(allVideos, finalOutput, templateFor(format).size, {
+          crop: format.bumperFit === "crop" ? bumpers : [],
+        })
+      );
       console.log("🚀 All videos merged into:", finalOutput);
+
+      // Where each story starts, for chapters and later steps
+      const manifest = readManifest(date);
+      recordRun(date, "merge", {
+        ...manifest.merge,
+        [lang]: { ...manifest.merge?.[lang], [formatKey]: merged },
+      });
+      markStage(date, stageKey(null, lang), "merge", formatKey, {
+        artifacts: { final: finalOutput },
+      });
+      // Stories only count as reported (storyHistory.js) once a final of
+      // them exists, so a failed run leaves them for the next day
+      if (manifest.bulletin) recordStories(date, manifest.bulletin.safeParsed);
+      // A new final has to be uploaded again
+      markStage(date, stageKey(null, lang), "upload", formatKey, { status: "pending" });
+    } catch (err) {
+      console.error(`❌ ${lang} ${formatKey} merge failed:`, err.message || err);
+      markStage(date, stageKey(null, lang), "merge", formatKey, {
+        status: "failed",
+        error: err.message,
+      });
+      errors.push(`${formatKey}: ${err.message}`);
+    }
+  }
+
+  if (errors.length > 0) throw new Error(errors.join("; "));
+  return FORMATS.map((formatKey) => path.join(outputDir, finalFileName(lang, formatKey)));
+}
+
+// ---------- PIPELINE ----------
+// bulletin → audio (per item and language) + image (per story)
+//          → reels (per item and language) → merge (per language)
+//          → thumbnail → upload (per language)
+// A language's merge waits for its reels but runs with whichever succeeded;
+// its upload needs the merge, so a failing language never holds up another.
+// `redo` marks a task's manifest stages pending so a resumed run does them
+// again (an existing img<N>.png is still reused).
+function buildPipeline(news, run) {
+  const tasks = [];
+  const pending = (key, stages, formats = [null]) =>
+    stages.forEach((stage) =>
+      formats.forEach((format) =>
+        markStage(run.date, key, stage, format, { status: "pending" })
+      )
+    );
+  const stories = new Map();
+  news.forEach((item) => {
+    if (!stories.has(item.id)) stories.set(item.id, []);
+    stories.get(item.id).push(item);
+  });
+
+  stories.forEach((story, id) => {
+    tasks.push({
+      id: `image:${id + 1}`,
+      stage: "images",
+      outputs: (imgPath) => [imgPath],
+      redo: () => story.forEach((s) => pending(stageKey(id + 1, s.language), ["image"])),
+      run: () => storyImage(story, run).finally(() => run.progress.tick("image")),
     });
-    // 4️⃣ Upload to youtube
-    const videoToUpload = await getAllFinalVideosByDate();
-    console.log("Videos pushed to youtube:", videoToUpload);
-  } catch (err) {
-    console.error("Fatal error:", err.message || err);
+  });
+
+  news.forEach((item) => {
+    const suffix = `${item.id + 1}:${item.language}`;
+    const key = stageKey(item.id + 1, item.language);
+    tasks.push({
+      id: `audio:${suffix}`,
+      stage: "tts",
+      outputs: (audio) => [audio.audioPath],
+      redo: () => pending(key, ["audio"]),
+      run: () => itemAudio(item, run).finally(() => run.progress.tick("audio")),
+    });
+    tasks.push({
+      id: `reels:${suffix}`,
+      stage: "render",
+      needs: [`audio:${suffix}`, `image:${item.id + 1}`],
+      outputs: (reels) => reels,
+      redo: () => {
+        pending(key, ["overlay"]);
+        pending(key, ["reel"], FORMATS);
+      },
+      run: (inputs) =>
+        itemReels(item, inputs[`audio:${suffix}`], inputs[`image:${item.id + 1}`], run),
+    });
+  });
+
+  LANGUAGES.forEach((lang) => {
+    const key = stageKey(null, lang);
+    tasks.push({
+      id: `merge:${lang}`,
+      stage: "merge",
+      after: news
+        .filter((item) => item.language === lang)
+        .map((item) => `reels:${item.id + 1}:${lang}`),
+      outputs: (finals) => finals,
+      redo: () => pending(key, ["merge"], FORMATS),
+      run: () => mergeLanguage(run.date, run.outputDir, lang),
+    });
+    tasks.push({
+      id: `thumbnail:${lang}`,
+      stage: "thumbnail",
+      outputs: (thumbnails) => thumbnails,
+      redo: () => pending(key, ["thumbnail"], FORMATS),
+      run: () =>
+        Promise.all(FORMATS.map((formatKey) => prepareThumbnail(run.date, lang, formatKey))),
+    });
+    tasks.push({
+      id: `upload:${lang}`,
+      stage: "upload",
+      needs: [`merge:${lang}`, `thumbnail:${lang}`],
+      redo: () => pending(key, ["upload"], FORMATS),
+      run: async () => {
+        const results = await getAllFinalVideosByDate({ language: lang });
+        console.log(`Videos pushed for ${lang}:`, results);
+        const failed = results.filter((r) => r.value?.status === "failed");
+        if (failed.length > 0) {
+          throw new Error(failed.map((r) => `${r.value.path}: ${r.value.error}`).join("; "));
+        }
+        return results;
+      },
+    });
+  });
+
+  return tasks;
+}
+
+// ---------- RUN ----------
+// Commands of cli.js: "fetch" only prepares the bulletin, "run" is the whole
+// pipeline, any other is one pipeline stage, redone for the selection, plus
+// whatever it needs (resumed from the manifest when already done).
+const COMMANDS = [
+  "fetch",
+  "tts",
+  "images",
+  "render",
+  "merge",
+  "thumbnail",
+  "upload",
+  "run",
+];
+const STAGES = COMMANDS.filter((c) => c !== "fetch" && c !== "run");
+const ITEM_STAGES = ["tts", "images", "render"];
+
+// items: story numbers (1-based) to limit the item stages to, or null for all.
+// Resolves the pipeline report, or null when nothing ran.
+export async function runBulletin({
+  command = "run",
+  items = null,
+  skipUpload = false,
+  dryRun = false,
+  bulletin = null,
+} = {}) {
+  if (!COMMANDS.includes(command)) throw new Error(`Unknown command "${command}"`);
+
+  const date = getYesterday();
+  console.log("📅 Date:", date, "| command:", command, dryRun ? "(dry run)" : "");
+  const outputDir = dryRun
+    ? path.join(process.cwd(), "output", date)
+    : getOutputDirForDate(date);
+
+  const stages = (command === "run" ? STAGES : [command]).filter(
+    (stage) => !(skipUpload && stage === "upload")
+  );
+
+  // Merge, thumbnail and upload work from the manifest and the files on disk
+  let news = [];
+  if (command === "fetch" || stages.some((stage) => ITEM_STAGES.includes(stage))) {
+    news = await prepareBulletin(date, outputDir, { bulletin, dryRun });
+    if (!news) {
+      console.log("📝 Dry run: a new bulletin would be fetched for", date);
+      return null;
+    }
+    if (items) news = news.filter((item) => items.includes(item.id + 1));
+  }
+  if (command === "fetch") {
+    console.log(`📰 Bulletin ready: ${new Set(news.map((item) => item.id)).size} stories`);
+    return null;
+  }
+
+  const run = createRun(outputDir, date);
+  const tasks = selectTasks(buildPipeline(news, run), stages);
+  const redo = command === "run" ? [] : tasks.filter((task) => task.stage === command);
+  if (tasks.length === 0) {
+    console.log("⏭️ Nothing to run");
+    return null;
+  }
+
+  if (dryRun) {
+    console.log("📝 Dry run, these tasks would run:");
+    tasks.forEach((task) => {
+      const deps = [...(task.needs || []), ...(task.after || [])];
+      console.log(
+        `  ${task.stage.padEnd(9)} ${task.id}${deps.length ? ` ← ${deps.join(", ")}` : ""}${
+          redo.includes(task) ? " (redo)" : ""
+        }`
+      );
+    });
+    return null;
+  }
+
+  redo.forEach((task) => task.redo?.());
+  startProgress(run, tasks);
+  let report;
+  try {
+    report = await runPipeline(tasks);
+  } finally {
+    finishRun(run);
+  }
+
+  recordRun(date, "pipeline", { command, ...report });
+  if (!report.ok) {
+    console.error("❌ Pipeline finished with failures:\n" + formatReport(report));
     process.exitCode = 1;
+  } else {
+    console.log("✅ Pipeline finished for", date);
   }
-})();
+  return report;
+}
+
+// ---------- MAIN ----------
+// `npm start` runs the whole pipeline; cli.js imports runBulletin instead
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  console.log("🚀 Starting news reel automation...");
+
+  runBulletin().catch((err) => {
+    console.error("Fatal error:", err.message || err);
+    process.exitCode = 1;
+  });
+}
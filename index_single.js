@@ -8,6 +8,7 @@ import dayjs from "dayjs";
 
 import dotenv from "dotenv";
 import sharp from "sharp";
+import { generateReel } from "./reelTemplates.js";
 
 dotenv.config();
 import ffmpeg from "fluent-ffmpeg";
@@ -333,136 +334,6 @@ async function fetchImage(query, savePath) {
   return savePath;
 }
 
-async function getVideoDimensions(videoFile) {
-  const metadata = await ffprobePromise(videoFile);
-  const stream = metadata.streams.find((s) => s.width && s.height);
-  return { width: stream.width, height: stream.height };
-}
-
-// ---------- PREPARE TEXT ----------
-function prepareText(text, maxLineLength = 45) {
-  const words = text.split(" ");
-  let lines = [];
-  let line = "";
-
-  words.forEach((word) => {
-    if ((line + word).length > maxLineLength) {
-      lines.push(line.trim());
-      line = word + " ";
-    } else {
-      line += word + " ";
-    }
-  });
-  if (line) lines.push(line.trim());
-  return lines.join("\n");
-}
-
-function overlayImage(path) {
-  const { videoFile, imageFile, outputFile } = path;
-  console.log("🎬 Input video:", videoFile);
-  console.log("🖼️ Input image:", imageFile);
-  console.log("📂 Output file:", outputFile);
-
-  return new Promise((resolve, reject) => {
-    if (!videoFile || !imageFile || !outputFile) {
-      return reject(new Error("❌ Missing file path!"));
-    }
-
-    console.log("🎬 Input video:", videoFile);
-    console.log("🖼️ Input image:", imageFile);
-    console.log("📂 Output file:", outputFile);
-
-    ffmpeg(videoFile)
-      .input(imageFile)
-      .complexFilter([
-        {
-          filter: "overlay",
-          options: { x: "50", y: "50" },
-        },
-      ])
-      .outputOptions(["-pix_fmt yuv420p", "-c:a copy"])
-      .save(outputFile)
-      .on("end", () => resolve(`✅ Done: ${outputFile}`))
-      .on("error", (err) => reject(err));
-  });
-}
-
-// ---------- REEL ----------
-function generateReel({
-  imageFile,
-  videoFile,
-  audioFile,
-  titleText,
-  descText,
-  outputFile,
-}) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      const metadata = await ffprobePromise(audioFile);
-      const duration = metadata.format.duration || 30;
-      const { width: videoWidth } = await getVideoDimensions(videoFile);
-      console.log("🎬 Reel width:", videoWidth);
-      console.log("🎵 Audio duration:", duration);
-
-      const fontTitle = path.join(
-        process.cwd(),
-        "assests/font/Antonio-Bold.ttf"
-      );
-      const fontDesc = path.join(process.cwd(), "assests/font/Garet-Book.ttf");
-
-      const fontTitleSafe = fs.existsSync(fontTitle)
-        ? fontTitle
-        : "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf";
-      const fontDescSafe = fs.existsSync(fontDesc)
-        ? fontDesc
-        : "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf";
-
-      const filter = [
-        // Scale image to video width, height = 800, add alpha fade
-        `[1:v]scale=1080:800,format=rgba,fade=t=in:st=0:d=1:alpha=1,fade=t=out:st=15.05:d=1:alpha=1[img]`,
-
-        // Overlay image at top
-        `[0:v][img]overlay=x=0:y=0[bg]`,
-
-        // Title text
-        `[bg]drawtext=fontfile='${fontTitleSafe}':text='${titleText}':fontcolor=white:fontsize=60:x='if(lt(t,0.8), -text_w + (60+text_w)*(t/0.8), 60)':y=1190:alpha='if(lt(t,0.8),(t/0.8),1)':shadowcolor=black:shadowx=2:shadowy=2:line_spacing=15[vid1]`,
-
-        // Description text
-        `[vid1]drawtext=fontfile='${fontDescSafe}':text='${descText}':fontcolor=yellow:fontsize=40:x='if(lt(t,1.6), -text_w + (60+text_w)*((t-0.8)/0.8), 60)':y=1390:alpha='if(lt(t,1.6),((t-0.8)/0.8),1)':line_spacing=16:shadowcolor=black:shadowx=1:shadowy=1[vid2]`,
-      ];
-
-      ffmpeg()
-        .input(videoFile)
-        .input(imageFile) // [1:v] for overlay
-        .input(audioFile)
-        .complexFilter(filter)
-        .outputOptions([
-          "-map [vid2]",
-          "-map 2:a?",
-          "-c:v libx264",
-          "-crf 18",
-          "-preset medium",
-          "-c:a aac",
-          `-t ${Math.round(duration)}`,
-        ])
-        .on("start", (cmd) =>
-          console.log("FFmpeg started (generateReel):", cmd)
-        )
-        .on("end", () => {
-          console.log("✅ Reel generated:", outputFile);
-          resolve();
-        })
-        .on("error", (err) => {
-          console.error("❌ FFmpeg error (generateReel):", err.message || err);
-          reject(err);
-        })
-        .save(outputFile);
-    } catch (err) {
-      reject(err);
-    }
-  });
-}
-
 // ---------- Generate TTS for news array ----------
 async function generateTTS(newsData, outputDir) {
   console.log("🔊 Generating TTS...");
@@ -498,10 +369,6 @@ async function generateTTS(newsData, outputDir) {
       desc: item.description_speech,
     });
 
-    const title = await prepareText(item.title || "", 40);
-    const description = await prepareText(item.description_display || "", 42);
-    console.log("Description:", description);
-    var outputVideoFile = path.join(outputDir, `output_${i + 1}.mp4`);
     const imgPath = path.join(outputDir, `img${i + 1}.png`);
 
     try {
@@ -513,31 +380,16 @@ async function generateTTS(newsData, outputDir) {
         err.message || err
       );
     }
-    try {
-      await overlayImage({
-        videoFile: item.india
-          ? path.join(process.cwd(), "assests/REELS/Reel_3.mp4")
-          : path.join(process.cwd(), "assests/REELS/Reel_4.mp4"),
-        imageFile: imgPath,
-        outputFile: outputVideoFile,
-      });
-    } catch (err) {
-      console.error(
-        "❌ Failed to generate reel for item:",
-        item.title,
-        err.message || err
-      );
-    }
-    console.log("🎬 Output video: 909090", path.join(outputVideoFile));
-    sleep(2000 + Math.random() * 3000);
-
     try {
       await generateReel({
+        template: process.env.REEL_TEMPLATE || "single",
+        section: item.india ? "India" : "World",
         imageFile: imgPath,
-        videoFile: path.join(outputVideoFile),
         audioFile: audioPath,
-        titleText: title,
-        descText: description,
+        text: {
+          title: item.title || "",
+          description: item.description_display || "",
+        },
         outputFile: path.join(outputDir, `reel${i + 1}.mp4`),
       });
     } catch (err) {
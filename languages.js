@@ -0,0 +1,32 @@
+// filename: languages.js
+// Language registry (config/languages.json). Every stage — prompt, schema,
+// narration, text layout, merge, thumbnail and upload — reads languages from
+// here, so adding one is a config change.
+import { loadJSONConfig } from "./config.js";
+
+export const LANGUAGE_REGISTRY = loadJSONConfig(
+  "languages.json",
+  "LANGUAGES_CONFIG"
+);
+
+// LANGUAGES="english,hindi" overrides the `enabled` flags for a run
+const override = (process.env.LANGUAGES || "")
+  .split(",")
+  .map((l) => l.trim().toLowerCase())
+  .filter(Boolean);
+
+export const LANGUAGES = Object.keys(LANGUAGE_REGISTRY).filter((key) =>
+  override.length > 0 ? override.includes(key) : LANGUAGE_REGISTRY[key].enabled
+);
+
+override.forEach((key) => {
+  if (!LANGUAGE_REGISTRY[key]) {
+    throw new Error(`Unknown language "${key}" in LANGUAGES (see config/languages.json)`);
+  }
+});
+
+export function getLanguage(key) {
+  const lang = LANGUAGE_REGISTRY[key];
+  if (!lang) throw new Error(`Unknown language "${key}"`);
+  return { key, ...lang };
+}
@@ -0,0 +1,113 @@
+// filename: llmProviders.js
+// Text generation providers used by getNews(). Every provider exposes the
+// same shape: { name, models, generate(modelName, prompt) -> raw text }.
+import fs from "fs";
+import path from "path";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import OpenAI from "openai";
+
+const DEFAULT_MODELS = {
+  gemini: [
+    "gemini-1.5-flash",
+    "gemini-1.5-pro",
+    "gemini-pro",
+    "gemini-2.5-flash",
+    "gemini-2.5-pro",
+  ],
+  openai: ["gpt-4o-mini", "gpt-4o"],
+  mock: ["mock"],
+};
+
+// Comma-separated model override, e.g. LLM_MODELS="gemini-2.5-flash,gemini-2.5-pro"
+function modelsFromEnv(provider) {
+  const list = (process.env.LLM_MODELS || "")
+    .split(",")
+    .map((m) => m.trim())
+    .filter(Boolean);
+  return list.length > 0 ? list : DEFAULT_MODELS[provider];
+}
+
+// ---------- GEMINI ----------
+function createGeminiProvider() {
+  const apiKey = process.env.GEMINI_API_KEY || "";
+  if (!apiKey) throw new Error("No Gemini API key found (GEMINI_API_KEY)");
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    models: modelsFromEnv("gemini"),
+    async generate(modelName, prompt) {
+      const model = genAI.getGenerativeModel({ model: modelName });
+      const res = await model.generateContent(prompt);
+      return res?.response?.text ? res.response.text().trim() : "";
+    },
+  };
+}
+
+// ---------- OPENAI-COMPATIBLE ----------
+// Works with api.openai.com or any compatible server (Ollama, LM Studio,
+// vLLM...) by pointing OPENAI_BASE_URL at it, e.g. http://localhost:11434/v1
+function createOpenAIProvider() {
+  const baseURL = process.env.OPENAI_BASE_URL || undefined;
+  const apiKey = process.env.OPENAI_API_KEY || (baseURL ? "local" : "");
+  if (!apiKey) throw new Error("No OpenAI API key found (OPENAI_API_KEY)");
+
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name: baseURL ? `openai (${baseURL})` : "openai",
+    models: modelsFromEnv("openai"),
+    async generate(modelName, prompt) {
+      const res = await client.chat.completions.create({
+        model: modelName,
+        messages: [{ role: "user", content: prompt }],
+      });
+      return (res?.choices?.[0]?.message?.content || "").trim();
+    },
+  };
+}
+
+// ---------- MOCK (offline) ----------
+// Replays fixture files in order, one per call; the last one repeats.
+// LLM_MOCK_FIXTURE="fixtures/broken.json,fixtures/bulletin.json" lets tests
+// exercise the repair re-prompt without any network.
+function createMockProvider() {
+  const fixtures = (process.env.LLM_MOCK_FIXTURE || "fixtures/bulletin.json")
+    .split(",")
+    .map((f) => path.resolve(process.cwd(), f.trim()))
+    .filter(Boolean);
+
+  fixtures.forEach((file) => {
+    if (!fs.existsSync(file)) throw new Error(`Mock fixture not found: ${file}`);
+  });
+
+  let call = 0;
+
+  return {
+    name: "mock",
+    models: modelsFromEnv("mock"),
+    async generate() {
+      const file = fixtures[Math.min(call, fixtures.length - 1)];
+      call++;
+      return fs.readFileSync(file, "utf-8").trim();
+    },
+  };
+}
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+// ---------- FACTORY ----------
+export function createLLMProvider(name = process.env.LLM_PROVIDER || "gemini") {
+  const factory = PROVIDERS[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}" (expected: ${Object.keys(PROVIDERS).join(", ")})`
+    );
+  }
+  return factory();
+}
@@ -0,0 +1,54 @@
+// filename: media.js
+// Shared ffmpeg/ffprobe helpers.
+import fs from "fs";
+import ffmpeg from "fluent-ffmpeg";
+
+// ---------- FFPROBE (promise wrapper) ----------
+export function ffprobePromise(file) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(file, (err, metadata) => {
+      if (err) return reject(err);
+      resolve(metadata);
+    });
+  });
+}
+
+export async function getMediaDuration(file) {
+  const metadata = await ffprobePromise(file);
+  return Number(metadata.format.duration) || 0;
+}
+
+// Re-encode any audio file ffmpeg can read to mp3
+export function transcodeToMp3(inputFile, outputFile) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputFile)
+      .audioCodec("libmp3lame")
+      .audioBitrate("192k")
+      .outputOptions(["-y"])
+      .on("end", () => resolve(outputFile))
+      .on("error", (err) => reject(err))
+      .save(outputFile);
+  });
+}
+
+// Add leading/trailing silence (seconds) to an audio file in place
+export function padAudio(file, before = 0, after = 0) {
+  if (!before && !after) return Promise.resolve(file);
+
+  const tmp = file.replace(/(\.\w+)$/, ".pad$1");
+  const filters = [];
+  if (before) filters.push(`adelay=${Math.round(before * 1000)}:all=1`);
+  if (after) filters.push(`apad=pad_dur=${after}`);
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(file)
+      .audioFilters(filters)
+      .outputOptions(["-y"])
+      .on("end", () => {
+        fs.renameSync(tmp, file);
+        resolve(file);
+      })
+      .on("error", (err) => reject(err))
+      .save(tmp);
+  });
+}
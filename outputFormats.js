@@ -0,0 +1,49 @@
+// filename: outputFormats.js
+// Output format registry (config/formats.json). Every bulletin is rendered
+// once per enabled format — vertical Shorts, 16:9 long-form, 1:1 social —
+// each with its own reel template (and so its own size and backgrounds),
+// intro/outro clips, thumbnail size and upload destination. Finals are written as
+// final_<language>_<format>.mp4. The intro/outro are vertical; with
+// "bumperFit": "crop" another format scales and crops them to fill its
+// frame instead of letterboxing them.
+import { loadJSONConfig } from "./config.js";
+
+export const FORMAT_REGISTRY = loadJSONConfig("formats.json", "FORMATS_CONFIG");
+
+// FORMATS="vertical,square" overrides the `enabled` flags for a run
+const override = (process.env.FORMATS || "")
+  .split(",")
+  .map((f) => f.trim().toLowerCase())
+  .filter(Boolean);
+
+export const FORMATS = Object.keys(FORMAT_REGISTRY).filter((key) =>
+  override.length > 0 ? override.includes(key) : FORMAT_REGISTRY[key].enabled
+);
+
+override.forEach((key) => {
+  if (!FORMAT_REGISTRY[key]) {
+    throw new Error(`Unknown format "${key}" in FORMATS (see config/formats.json)`);
+  }
+});
+
+export function getFormat(key) {
+  const format = FORMAT_REGISTRY[key];
+  if (!format) throw new Error(`Unknown format "${key}"`);
+  return { key, ...format };
+}
+
+export function finalFileName(language, format) {
+  return `final_${language}_${format}.mp4`;
+}
+
+// Finals from before the format registry (final_<language>_video.mp4)
+// were the vertical Shorts
+const LEGACY_FORMAT = "vertical";
+
+// final_<language>_<format>.mp4 → format key, or null for unknown names
+export function formatFromFile(videoFile) {
+  if (/^final_[a-z]+_video\.\w+$/i.test(videoFile)) return LEGACY_FORMAT;
+  const keys = Object.keys(FORMAT_REGISTRY).join("|");
+  const match = videoFile.match(new RegExp(`^final_[a-z]+_(${keys})\\.\\w+$`, "i"));
+  return match ? match[1].toLowerCase() : null;
+}
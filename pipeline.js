@@ -0,0 +1,121 @@
+// filename: pipeline.js
+// Small DAG runner for the bulletin pipeline. A task declares the tasks it
+// needs (their results become its inputs), tasks it only runs after, and
+// the files it outputs. Every task starts as soon as its dependencies
+// settle. A failure never escapes runPipeline: the task is reported and
+// whatever needs it is skipped, so one failing language leaves the others
+// running, and everything ends up in a single report.
+import fs from "fs";
+
+// task: { id, stage, needs: [id], after: [id], outputs: [file] | (value) => [file],
+//         run: async (inputs) => value }
+// Other fields are left to the caller (index_multi.js adds `redo`).
+function validate(tasks) {
+  const byId = new Map();
+  tasks.forEach((task) => {
+    if (byId.has(task.id)) throw new Error(`Duplicate pipeline task "${task.id}"`);
+    byId.set(task.id, task);
+  });
+
+  tasks.forEach((task) => {
+    [...(task.needs || []), ...(task.after || [])].forEach((dep) => {
+      if (!byId.has(dep)) throw new Error(`Task "${task.id}" depends on unknown "${dep}"`);
+    });
+  });
+
+  // Depth-first search for cycles, which would otherwise wait forever
+  const state = new Map();
+  const visit = (id, trail) => {
+    if (state.get(id) === "done") return;
+    if (state.get(id) === "visiting") {
+      throw new Error(`Pipeline cycle: ${[...trail, id].join(" → ")}`);
+    }
+    state.set(id, "visiting");
+    const task = byId.get(id);
+    [...(task.needs || []), ...(task.after || [])].forEach((dep) => visit(dep, [...trail, id]));
+    state.set(id, "done");
+  };
+  tasks.forEach((task) => visit(task.id, []));
+
+  return byId;
+}
+
+// Resolves { ok, tasks: { id: { stage, status, ms, error, blockedBy } } }
+// with status "done", "failed" or "skipped". Throws only for a malformed graph.
+export async function runPipeline(tasks) {
+  const byId = validate(tasks);
+  const outcomes = new Map();
+
+  const settle = (id) => {
+    if (!outcomes.has(id)) outcomes.set(id, execute(byId.get(id)));
+    return outcomes.get(id);
+  };
+
+  async function execute(task) {
+    const needs = task.needs || [];
+    const settled = await Promise.all(needs.map(settle));
+    await Promise.all((task.after || []).map(settle));
+
+    const blockedBy = needs.filter((id, i) => settled[i].status !== "done");
+    if (blockedBy.length > 0) {
+      console.warn(`⏭️ ${task.id} skipped, blocked by ${blockedBy.join(", ")}`);
+      return { status: "skipped", blockedBy };
+    }
+
+    const inputs = Object.fromEntries(needs.map((id, i) => [id, settled[i].value]));
+    const started = Date.now();
+    try {
+      const value = await task.run(inputs);
+      const outputs =
+        typeof task.outputs === "function" ? task.outputs(value) : task.outputs || [];
+      const missing = outputs.filter((file) => !fs.existsSync(file));
+      if (missing.length > 0) {
+        throw new Error(`declared outputs missing: ${missing.join(", ")}`);
+      }
+      return { status: "done", value, ms: Date.now() - started };
+    } catch (err) {
+      console.error(`❌ ${task.id} failed:`, err.message || err);
+      return { status: "failed", error: err.message || String(err), ms: Date.now() - started };
+    }
+  }
+
+  await Promise.all(tasks.map((task) => settle(task.id)));
+
+  const report = { ok: true, tasks: {} };
+  for (const task of tasks) {
+    const { status, ms, error, blockedBy } = await outcomes.get(task.id);
+    report.tasks[task.id] = { stage: task.stage, status, ms, error, blockedBy };
+    if (status !== "done") report.ok = false;
+  }
+  return report;
+}
+
+// The tasks of the given stages plus everything they need, for running part
+// of a pipeline. `after` edges to tasks left out are dropped: those only
+// order the run, they pass no inputs.
+export function selectTasks(tasks, stages) {
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  const keep = new Set();
+  const add = (task) => {
+    if (!task || keep.has(task.id)) return;
+    keep.add(task.id);
+    (task.needs || []).forEach((id) => add(byId.get(id)));
+  };
+  tasks.filter((task) => stages.includes(task.stage)).forEach(add);
+
+  return tasks
+    .filter((task) => keep.has(task.id))
+    .map((task) => ({ ...task, after: (task.after || []).filter((id) => keep.has(id)) }));
+}
+
+// Failed and skipped tasks, one per line; "" when everything ran
+export function formatReport(report) {
+  const lines = Object.entries(report.tasks)
+    .filter(([, t]) => t.status !== "done")
+    .map(([id, t]) =>
+      t.status === "failed"
+        ? `❌ ${id}: ${t.error}`
+        : `⏭️ ${id}: skipped (needs ${t.blockedBy.join(", ")})`
+    );
+  return lines.join("\n");
+}
@@ -5,6 +5,11 @@ import dayjs from "dayjs";
 import readline from "readline";
 import { google } from "googleapis";
 import { createCanvas, loadImage } from "canvas";
+import { LANGUAGE_REGISTRY, getLanguage } from "./languages.js";
+import { buildCreditsSection } from "./imageAttribution.js";
+import { FORMATS, getFormat, formatFromFile } from "./outputFormats.js";
+import { buildChapters, formatChapters } from "./chapters.js";
+import { readManifest, stageKey, completedStage, markStage } from "./runManifest.js";
 
 const SCOPES = [
   "https://www.googleapis.com/auth/youtube.upload",
@@ -14,7 +19,8 @@ const TOKEN_PATH = "./token.json";
 const LOGO_PATH = "./logo.png";
 
 // --- Main function to fetch and upload all videos ---
-export default async function getAllFinalVideosByDate() {
+// { language } limits the run to one language's finals
+export default async function getAllFinalVideosByDate({ language: only } = {}) {
   const date = getYesterday();
   const folderPath = path.join("./output", date);
 
@@ -25,7 +31,10 @@ export default async function getAllFinalVideosByDate() {
 
   const files = fs.readdirSync(folderPath);
   const videoFiles = files.filter(
-    (file) => file.startsWith("final_") && /\.(mp4|mkv|mov|avi)$/.test(file)
+    (file) =>
+      file.startsWith("final_") &&
+      /\.(mp4|mkv|mov|avi)$/.test(file) &&
+      (!only || languageFromFile(file) === only)
   );
 
   if (videoFiles.length === 0) {
@@ -33,26 +42,109 @@ export default async function getAllFinalVideosByDate() {
     return [];
   }
 
+  const bulletin = loadBulletin(folderPath, date);
+  const manifest = readManifest(date);
+
   const uploadPromises = videoFiles.map(async (videoFile) => {
     try {
       const videoPath = path.join(folderPath, videoFile);
-      const match = videoFile.match(
-        /^final_([a-zA-Z]+)_.*\.(mp4|mkv|mov|avi)$/
-      );
-      const language = match ? match[1] : "unknown";
-
-      const thumbnail = await generateThumbnail(language);
-      const youtubeData = await uploadToYoutube(videoPath, language, thumbnail);
+      const language = languageFromFile(videoFile);
+      const format = formatFromFile(videoFile);
+
+      if (!format) {
+        console.log(`⏭️ ${videoFile}: no known format in the name, skipped`);
+        return { path: videoPath, language, format, status: "skipped" };
+      }
+      if (!FORMATS.includes(format)) {
+        console.log(`⏭️ ${videoFile}: format "${format}" not enabled, skipped`);
+        return { path: videoPath, language, format, status: "skipped" };
+      }
+      const destination = destinationFor(format);
+
+      // ♻️ A re-run never uploads the same final twice, it only retries a
+      // thumbnail that could not be set after the upload
+      const key = stageKey(null, language);
+      const uploaded = completedStage(date, key, "upload", format);
+      const thumbnailPending = uploaded?.result?.youtubeData && !uploaded.result.thumbnail;
+      if (uploaded && !thumbnailPending) {
+        console.log(`♻️ Already uploaded: ${videoFile}`);
+        return { path: videoPath, language, format, ...uploaded.result, status: "skipped" };
+      }
+
+      if (destination.type === "folder") {
+        const exported = exportToFolder(videoPath, destination, date);
+        markStage(date, key, "upload", format, {
+          artifacts: { video: videoPath, exported },
+          result: { exported },
+        });
+        return { path: videoPath, language, format, exported, status: "success" };
+      }
+      if (destination.type !== "youtube") {
+        throw new Error(`Unknown destination "${destination.type}" for ${format}`);
+      }
+
+      // Chapters only work in long-form videos, not Shorts
+      const chapters = destination.shorts
+        ? ""
+        : formatChapters(
+            buildChapters(manifest.merge?.[language]?.[format], bulletin, language),
+            language
+          );
+
+      // The upload is recorded as soon as the video is in, so a failing
+      // thumbnail is all that is left for the next run
+      let youtubeData = uploaded?.result?.youtubeData;
+      if (youtubeData) {
+        console.log(`♻️ Already uploaded, setting the thumbnail: ${videoFile}`);
+      } else {
+        youtubeData = await uploadToYoutube(
+          videoPath,
+          language,
+          bulletin,
+          destination,
+          chapters
+        );
+        markStage(date, key, "upload", format, {
+          artifacts: { video: videoPath },
+          result: { thumbnail: null, youtubeData },
+        });
+      }
+
+      let thumbnail;
+      try {
+        thumbnail = await prepareThumbnail(date, language, format);
+        await setYoutubeThumbnail(youtubeData.videoId, thumbnail);
+      } catch (err) {
+        console.error("❌ Thumbnail not set for:", videoFile, err);
+        return {
+          path: videoPath,
+          language,
+          format,
+          youtubeData,
+          status: "failed",
+          error: `thumbnail: ${err}`,
+        };
+      }
+      markStage(date, key, "upload", format, {
+        artifacts: { video: videoPath },
+        result: { thumbnail, youtubeData },
+      });
 
       return {
         path: videoPath,
         language,
+        format,
         thumbnail,
         youtubeData,
         status: "success",
       };
     } catch (err) {
       console.error("❌ Error processing video:", videoFile, err);
+      const key = stageKey(null, languageFromFile(videoFile));
+      markStage(date, key, "upload", formatFromFile(videoFile), {
+        status: "failed",
+        error: err.toString(),
+      });
       return { path: videoFile, status: "failed", error: err.toString() };
     }
   });
@@ -65,61 +157,159 @@ export default async function getAllFinalVideosByDate() {
 // --- Example usage ---
 function getYesterday() {
   //   return dayjs().subtract(1, "day").format("YYYY-MM-DD");
-  return dayjs().format("YYYY-MM-DD");
+  return process.env.NEWS_DATE || dayjs().format("YYYY-MM-DD");
+}
+
+// --- final_<language>_*.mp4 → registry key ---
+function languageFromFile(videoFile) {
+  const keys = Object.keys(LANGUAGE_REGISTRY).join("|");
+  const match = videoFile.match(
+    new RegExp(`^final_(${keys})_.*\\.(mp4|mkv|mov|avi)$`, "i")
+  );
+  return match ? match[1].toLowerCase() : "unknown";
+}
+
+// --- Where a final goes, from its format (config/formats.json) ---
+function destinationFor(format) {
+  return getFormat(format).destination || { type: "youtube", shorts: true };
+}
+
+// --- "folder" destination: copied to <path>/<date>/ for other channels ---
+function exportToFolder(videoPath, destination, date) {
+  const dir = path.join(destination.path || "output/social", date);
+  fs.mkdirSync(dir, { recursive: true });
+  const target = path.join(dir, path.basename(videoPath));
+  fs.copyFileSync(videoPath, target);
+  console.log("📦 Exported:", target);
+  return target;
+}
+
+// --- Bulletin saved by index_multi.js (news_<date>.txt) ---
+function loadBulletin(folderPath, date) {
+  const newsFile = path.join(folderPath, `news_${date}.txt`);
+  if (!fs.existsSync(newsFile)) {
+    console.warn("⚠️ Bulletin not found, uploading without sources:", newsFile);
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(newsFile, "utf-8"));
+  } catch (err) {
+    console.warn("⚠️ Could not parse bulletin:", newsFile, err.message);
+    return null;
+  }
+}
+
+// --- Numbered "Sources" section for the video description ---
+function buildSourcesSection(bulletin, language) {
+  const items = [...(bulletin?.India || []), ...(bulletin?.World || [])];
+  const lines = [];
+
+  items.forEach((item, i) => {
+    if (!item.sources?.length) return;
+    const title = item[language]?.title || item.english?.title || "";
+    lines.push(`${i + 1}. ${title}`);
+    item.sources.forEach((src) => {
+      lines.push(`   ${src.publisher}: ${src.url}`);
+    });
+  });
+
+  if (lines.length === 0) return "";
+  // YouTube rejects angle brackets in descriptions
+  return `\n\n📚 Sources:\n${lines.join("\n")}`.replace(/[<>]/g, "");
+}
+
+// YouTube caps descriptions at 5000 bytes
+function fitDescription(text, maxBytes = 5000) {
+  let out = text;
+  while (Buffer.byteLength(out, "utf8") > maxBytes) {
+    out = out.slice(0, out.lastIndexOf("\n", out.length - 2));
+  }
+  return out;
+}
+
+// --- A language's thumbnail for one format, generated once per date ---
+// (output/<date>/thumb_<language>_<format>.png)
+export async function prepareThumbnail(date, language, format) {
+  const key = stageKey(null, language);
+  const done = completedStage(date, key, "thumbnail", format);
+  if (done) return done.artifacts.thumbnail;
+
+  const thumbnail = path.join("./output", date, `thumb_${language}_${format}.png`);
+  const { thumbnail: size = { width: 1080, height: 1920 } } = getFormat(format);
+  await generateThumbnail(language, date, thumbnail, size, destinationFor(format).shorts);
+  markStage(date, key, "thumbnail", format, { artifacts: { thumbnail } });
+  return thumbnail;
 }
 
 // --- Thumbnail generation ---
-async function generateThumbnail(lang) {
-  const canvas = createCanvas(1080, 1920);
+// Logo above the headline card on tall and square thumbnails (laid out for
+// 1080x1920), side by side on wide ones; `scale` sizes the card's text.
+function thumbnailLayout(width, height) {
+  if (width > height) {
+    const card = { x: width * 0.45, y: height * 0.2, w: width * 0.5, h: height * 0.6 };
+    const logo = { x: width * 0.05, y: card.y, w: width * 0.35, h: card.h };
+    return { logo, card, scale: card.w / 960 };
+  }
+  const scale = (width - 120) / 960;
+  const cardHeight = Math.min(720 * scale, height / 2);
+  const card = { x: 60, y: height - cardHeight - 200 * scale, w: width - 120, h: cardHeight };
+  const logo = { x: 40, y: 50 * scale, w: width - 80, h: card.y - 100 * scale };
+  return { logo, card, scale };
+}
+
+async function generateThumbnail(lang, date, thumbPath, { width, height }, shorts = true) {
+  const canvas = createCanvas(width, height);
   const ctx = canvas.getContext("2d");
+  const { logo, card, scale } = thumbnailLayout(width, height);
+  const px = (size) => Math.round(size * scale);
 
   ctx.fillStyle = "#222239";
   ctx.fillRect(0, 0, canvas.width, canvas.height);
 
   if (fs.existsSync(LOGO_PATH)) {
-    const logo = await loadImage(LOGO_PATH);
-    ctx.drawImage(logo, (canvas.width - 1000) / 2, 50, 1000, 800);
+    const image = await loadImage(LOGO_PATH);
+    // The logo keeps the 5:4 box it always had
+    const w = Math.min(logo.w, logo.h * 1.25);
+    ctx.drawImage(image, logo.x + (logo.w - w) / 2, logo.y, w, w / 1.25);
   }
 
   ctx.fillStyle = "#ffffff";
-  roundRect(ctx, 60, 1000, canvas.width - 120, 720, 28, true);
+  roundRect(ctx, card.x, card.y, card.w, card.h, px(28), true);
 
   ctx.fillStyle = "#d71e1f";
-  roundRect(ctx, 60, 992, 28, 736, 8, true);
+  roundRect(ctx, card.x, card.y - px(8), px(28), card.h + px(16), px(8), true);
 
   ctx.fillStyle = "black";
-  ctx.font = "bold 64px serif";
+  ctx.font = `bold ${px(64)}px serif`;
   ctx.textAlign = "left";
   wrapText(
     ctx,
-    `${dayjs().format("YYYY-MM-DD")} • Daily News Update • News Shorts`,
-    120,
-    1150,
-    canvas.width - 200,
-    70
+    `${date} • Daily News Update • ${shorts ? "News Shorts" : "India & World"}`,
+    card.x + px(60),
+    card.y + px(150),
+    card.w - px(80),
+    px(70)
   );
 
-  ctx.font = "600 42px sans-serif";
+  ctx.font = `600 ${px(42)}px sans-serif`;
   ctx.fillStyle = "#000000";
-  ctx.fillText("Top headlines & quick updates", 120, 1320);
+  ctx.fillText("Top headlines & quick updates", card.x + px(60), card.y + px(320));
 
-  const langNames = { en: "English", hi: "Hindi", gu: "Gujarati" };
-  ctx.font = "600 50px sans-serif";
+  ctx.font = `600 ${px(50)}px sans-serif`;
   ctx.fillStyle = "#d71e1f";
-  ctx.fillText(langNames[lang] || lang, 120, 1420);
+  ctx.fillText(LANGUAGE_REGISTRY[lang]?.name || lang, card.x + px(60), card.y + px(420));
 
   ctx.textAlign = "right";
-  ctx.font = "500 30px sans-serif";
+  ctx.font = `500 ${px(30)}px sans-serif`;
   ctx.fillStyle = "#9fb6da";
   ctx.fillText(
     "11:30 PM IST • New episode • Within 24 Hours News",
-    canvas.width - 72,
-    canvas.height - 48
+    canvas.width - px(72),
+    canvas.height - px(48)
   );
 
   const buffer = canvas.toBuffer("image/png");
-  const thumbPath = path.join("./temp_thumbs", `thumb_${lang}.png`);
-  fs.mkdirSync("./temp_thumbs", { recursive: true });
+  fs.mkdirSync(path.dirname(thumbPath), { recursive: true });
   fs.writeFileSync(thumbPath, buffer);
   return thumbPath;
 }
@@ -193,31 +383,52 @@ function authorize(credentials) {
   });
 }
 
-// --- Upload video to YouTube ---
-async function uploadToYoutube(videoPath, language, ThumbnailPath) {
+async function youtubeClient() {
   const content = fs.readFileSync(
     "client_secret_944372979454-a2ero9ndeopgpvvqidgauo1m8cqhr64k.apps.googleusercontent.com.json"
   );
   const auth = await authorize(JSON.parse(content));
-  const youtube = google.youtube({ version: "v3", auth });
+  return google.youtube({ version: "v3", auth });
+}
+
+// --- Upload video to YouTube ---
+async function uploadToYoutube(
+  videoPath,
+  language,
+  bulletin,
+  destination = { shorts: true },
+  chapters = ""
+) {
+  const youtube = await youtubeClient();
   const fileSize = fs.statSync(videoPath).size;
   const publishDate = new Date().toISOString();
+  const youtubeLanguage =
+    language in LANGUAGE_REGISTRY
+      ? getLanguage(language).youtubeLanguage
+      : undefined;
 
   const res = await youtube.videos.insert(
     {
       part: ["snippet", "status"],
       requestBody: {
         snippet: {
-          title: `${getYesterday()} Daily News Update • #breakingnews #breakingnewsshorts`,
-          description: `📝 Stay informed with top India & World news in 120 seconds!`,
+          title: destination.shorts
+            ? `${getYesterday()} Daily News Update • #breakingnews #breakingnewsshorts`
+            : `${getYesterday()} Daily News Update • India & World • #breakingnews`,
+          description: fitDescription(
+            `📝 Stay informed with top India & World news in 120 seconds!` +
+              chapters +
+              buildSourcesSection(bulletin, language) +
+              buildCreditsSection(path.dirname(videoPath))
+          ),
           tags: [
             "within 24 hours news",
             "india news today",
             "breaking news shorts",
           ],
           categoryId: "25",
-          defaultLanguage: language,
-          defaultAudioLanguage: language,
+          defaultLanguage: youtubeLanguage,
+          defaultAudioLanguage: youtubeLanguage,
           recordingDate: new Date().toISOString(),
         },
         status: {
@@ -244,17 +455,20 @@ async function uploadToYoutube(videoPath, language, ThumbnailPath) {
   );
 
   console.log(`\n✅ Video uploaded! ID: ${res.data.id}`);
+  return { videoId: res.data.id, scheduledAt: publishDate };
+}
 
+// --- Thumbnail of an uploaded video ---
+async function setYoutubeThumbnail(videoId, ThumbnailPath) {
   if (!ThumbnailPath || !fs.existsSync(ThumbnailPath))
     throw new Error("Thumbnail not found: " + ThumbnailPath);
 
+  const youtube = await youtubeClient();
   await youtube.thumbnails.set({
-    videoId: res.data.id,
+    videoId,
     media: { body: fs.createReadStream(ThumbnailPath) },
   });
-  console.log("✅ Thumbnail uploaded for:", path.basename(videoPath));
-
-  return { videoId: res.data.id, scheduledAt: publishDate };
+  console.log("✅ Thumbnail uploaded for:", videoId);
 }
 
 // --- Run ---
@@ -0,0 +1,376 @@
+// filename: reelTemplates.js
+// Declarative reel layouts. A template (config/templates/<name>.json)
+// lists layers drawn bottom to top over a background video — image slot,
+// text fields, logo, ticker, captions — with positions, fonts, colours and
+// animation presets. compileTemplate() turns it into ffmpeg inputs and a
+// filtergraph; generateReel() renders one story with it. Text is rendered
+// to PNG layers first (textLayers.js), never into the filter string.
+// Layer timing follows a per-reel timeline built from the measured
+// narration length (see reelTimeline).
+import fs from "fs";
+import os from "os";
+import path from "path";
+import ffmpeg from "fluent-ffmpeg";
+import { loadJSONConfig } from "./config.js";
+import { getMediaDuration } from "./media.js";
+import { renderTextLayer } from "./textLayers.js";
+
+export const DEFAULT_TEMPLATE = "default";
+
+const FALLBACK_FONT = "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf";
+
+export function loadTemplate(name = DEFAULT_TEMPLATE) {
+  const template = loadJSONConfig(path.join("templates", `${name}.json`));
+  if (!template.size || !template.background || !Array.isArray(template.layers)) {
+    throw new Error(`Template "${name}" needs a size, a background and a layers array`);
+  }
+  return { name, ...template };
+}
+
+// Layout of an output format (outputFormats.js). REEL_TEMPLATE overrides it
+// for a run: a bare name (REEL_TEMPLATE=breaking) replaces the template of
+// every format of the same size, "vertical:breaking,square:square" names
+// one per format.
+export function templateFor(format) {
+  const own = loadTemplate(format.template || DEFAULT_TEMPLATE);
+  const overrides = (process.env.REEL_TEMPLATE || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  const named = overrides.find((entry) => entry.startsWith(`${format.key}:`));
+  if (named) return loadTemplate(named.slice(format.key.length + 1));
+
+  const bare = overrides.find((entry) => !entry.includes(":"));
+  if (!bare) return own;
+  const template = loadTemplate(bare);
+  const sameSize =
+    template.size.width === own.size.width && template.size.height === own.size.height;
+  return sameSize ? template : own;
+}
+
+// Paths inside a quoted filter option: forward slashes, no bare quotes
+function filterPath(file) {
+  return file.replace(/\\/g, "/").replace(/'/g, "'\\''");
+}
+
+function resolveAsset(file) {
+  return path.isAbsolute(file) ? file : path.join(process.cwd(), file);
+}
+
+// "language" uses the story language's font, anything else is a path
+function resolveFont(font, languageFont) {
+  const file = font === "language" || !font ? languageFont : font;
+  const full = file && resolveAsset(file);
+  return full && fs.existsSync(full) ? full : FALLBACK_FONT;
+}
+
+// ---------- TIMELINE ----------
+const round = (seconds) => Number(seconds.toFixed(3));
+
+// Timeline of one reel from its narration length. The narration already
+// carries the profile pauses: the lead-in pause is the intro hold, the
+// trailing pause plus the template's `timeline.outroHold` the outro hold.
+// Returns { fps, duration, intro, speech, outro } with { start, end } spans.
+export function reelTimeline(template, narrationDuration, pauses = {}) {
+  const { fps = 30, outroHold = 0 } = template.timeline || {};
+  const introEnd = Math.min(pauses.before || 0, narrationDuration);
+  const speechEnd = Math.max(narrationDuration - (pauses.after || 0), introEnd);
+  const duration = round(narrationDuration + outroHold);
+
+  return {
+    fps,
+    duration,
+    intro: { start: 0, end: round(introEnd) },
+    speech: { start: round(introEnd), end: round(speechEnd) },
+    outro: { start: round(speechEnd), end: duration },
+  };
+}
+
+// When a layer is on screen. `from`/`until` name a timeline mark:
+// "start" (default) or "speech" to begin with the narration, "end"
+// (default) or "speech" to leave when the narration stops.
+function layerSpan(layer, timeline) {
+  const start = layer.from === "speech" ? timeline.speech.start : 0;
+  const end = layer.until === "speech" ? timeline.speech.end : timeline.duration;
+  return { start, end: Math.max(end, start) };
+}
+
+// ---------- ANIMATION PRESETS ----------
+// Alpha fades for any overlay layer, inside its span. Fades never take more
+// than half the span, so a short reel still shows the whole fade.
+function fades(presets, { delay = 0, fade = 1 }, span) {
+  const list = [].concat(presets || []);
+  const d = round(Math.min(fade, (span.end - span.start) / 2));
+  const out = [];
+  if (list.includes("fadeIn")) {
+    out.push(`fade=t=in:st=${round(span.start + delay)}:d=${d}:alpha=1`);
+  }
+  if (list.includes("fadeOut")) {
+    out.push(`fade=t=out:st=${round(Math.max(span.end - d, 0))}:d=${d}:alpha=1`);
+  }
+  return out.map((f) => `,${f}`).join("");
+}
+
+// Slow zoom and pan over a still (Ken Burns) for `frames` frames. The image
+// is upscaled first so zoompan's whole-pixel crop does not jitter.
+// motion: { zoom: [from, to], pan: "center" | "left" | "right" | "up" | "down" }
+function kenBurns(motion, width, height, frames, fps) {
+  const [from, to] = motion.zoom || [1, 1.15];
+  const progress = `(on/${frames})`;
+  const freeX = "(iw-iw/zoom)";
+  const freeY = "(ih-ih/zoom)";
+  const pans = {
+    center: [`${freeX}/2`, `${freeY}/2`],
+    left: [`${freeX}*(1-${progress})`, `${freeY}/2`],
+    right: [`${freeX}*${progress}`, `${freeY}/2`],
+    up: [`${freeX}/2`, `${freeY}*(1-${progress})`],
+    down: [`${freeX}/2`, `${freeY}*${progress}`],
+  };
+  const pan = pans[motion.pan || "center"];
+  if (!pan) throw new Error(`Unknown pan "${motion.pan}"`);
+
+  return (
+    `scale=${width * 2}:${height * 2},` +
+    `zoompan=z='${from}+${round(to - from)}*${progress}':x='${pan[0]}':y='${pan[1]}'` +
+    `:d=${frames}:s=${width}x${height}:fps=${fps}`
+  );
+}
+
+// Text layers: overlay x expression plus fades. `w` is the layer's width.
+function textMotion(layer, timeline) {
+  const delay = layer.delay ?? 0;
+  const d = layer.duration ?? 0.8;
+  const end = delay + d;
+  const progress = delay ? `((t-${delay})/${d})` : `(t/${d})`;
+  const timing = { delay, fade: d };
+  const span = { start: 0, end: timeline.duration };
+
+  switch (layer.animation || "none") {
+    case "slideIn":
+      return {
+        x: `'if(lt(t,${end}), -w + (${layer.x}+w)*${progress}, ${layer.x})'`,
+        fades: fades(["fadeIn"], timing, span),
+      };
+    case "fadeIn":
+      return { x: layer.x, fades: fades(["fadeIn"], timing, span) };
+    case "none":
+      return { x: layer.x, fades: "" };
+    default:
+      throw new Error(`Unknown text animation "${layer.animation}"`);
+  }
+}
+
+// Renders every text and ticker layer of `template` to a PNG in `dir`.
+// Returns { [layerIndex]: { file, width, height } }.
+async function renderTextLayers(template, story, dir) {
+  const rendered = {};
+
+  for (const [i, layer] of template.layers.entries()) {
+    if (layer.type !== "text" && layer.type !== "ticker") continue;
+    if (layer.hideWithCaptions && story.subtitleFile) continue;
+    const text = layer.text || story.text?.[layer.field];
+    if (!text) continue;
+
+    rendered[i] = await renderTextLayer({
+      text,
+      outputFile: path.join(dir, `layer${i}.png`),
+      fontFile: resolveFont(layer.font, story.fontFile),
+      fontSize: layer.fontSize,
+      minFontSize: layer.minFontSize,
+      color: layer.color,
+      lineSpacing: layer.lineSpacing,
+      maxHeight: layer.maxHeight,
+      maxWidth:
+        layer.type === "text"
+          ? layer.maxWidth ?? template.size.width - 2 * layer.x
+          : undefined,
+      align: layer.align,
+      shadow: layer.shadow,
+      box: layer.box,
+    });
+  }
+
+  return rendered;
+}
+
+// ---------- COMPILE ----------
+// story: { section, imageFile, audioFile, timeline (from reelTimeline),
+//          text: { title, ... }, fontFile, subtitleFile,
+//          textLayers (from renderTextLayers) }
+// Returns { inputs: [{ file, options }], filter: [...], videoLabel, audioLabel }
+export function compileTemplate(template, story) {
+  const { timeline } = story;
+  const inputs = [];
+  const filter = [];
+  const addInput = (file, options = []) => inputs.push({ file, options }) - 1;
+
+  let step = 0;
+  let current = "base";
+  const chain = (expression) => {
+    const next = `v${++step}`;
+    filter.push(`[${current}]${expression}[${next}]`);
+    current = next;
+  };
+  const overlay = (source, x, y) => {
+    const next = `v${++step}`;
+    filter.push(`[${current}][${source}]overlay=x=${x ?? 0}:y=${y ?? 0}[${next}]`);
+    current = next;
+  };
+  // Stills are looped so fades and motion have frames to work on
+  const still = (file) => addInput(file, ["-loop 1"]);
+
+  // Background: a file or a solid colour, either one per section; short
+  // clips loop for the whole reel
+  const bg = template.background;
+  const perSection = (value) =>
+    typeof value === "string" ? value : value[story.section] || value.default;
+  const { width, height } = template.size;
+  const bgIndex = bg.color
+    ? addInput(
+        `color=c=${perSection(bg.color).replace(/^#/, "0x")}:s=${width}x${height}:r=${timeline.fps}`,
+        ["-f lavfi"]
+      )
+    : addInput(resolveAsset(perSection(bg.file)), bg.loop ? ["-stream_loop -1"] : []);
+  filter.push(`[${bgIndex}:v]scale=${width}:${height},setsar=1[base]`);
+
+  template.layers.forEach((layer, i) => {
+    switch (layer.type) {
+      case "image":
+      case "logo": {
+        const file = layer.type === "image" ? story.imageFile : resolveAsset(layer.file);
+        if (!file || !fs.existsSync(file)) {
+          console.warn(`⚠️ Template ${template.name}: no file for ${layer.type} layer, skipped`);
+          return;
+        }
+        const span = layerSpan(layer, timeline);
+        const layerFades = fades(layer.animation, layer, span);
+        if (layer.motion?.type === "kenBurns") {
+          if (!layer.width || !layer.height) {
+            throw new Error(`Template ${template.name}: kenBurns needs width and height`);
+          }
+          // zoompan makes every frame from one still, so no -loop here
+          const frames = Math.max(Math.ceil(span.end * timeline.fps), 1);
+          const motion = kenBurns(layer.motion, layer.width, layer.height, frames, timeline.fps);
+          filter.push(`[${addInput(file)}:v]${motion},format=rgba${layerFades}[layer${i}]`);
+        } else if (layer.motion) {
+          throw new Error(`Template ${template.name}: unknown motion "${layer.motion.type}"`);
+        } else {
+          const size = `${layer.width ?? -1}:${layer.height ?? -1}`;
+          filter.push(`[${still(file)}:v]scale=${size},format=rgba${layerFades}[layer${i}]`);
+        }
+        overlay(`layer${i}`, layer.x, layer.y);
+        return;
+      }
+
+      case "text": {
+        const rendered = story.textLayers?.[i];
+        if (!rendered) return;
+        const motion = textMotion(layer, timeline);
+        filter.push(`[${still(rendered.file)}:v]format=rgba${motion.fades}[layer${i}]`);
+        overlay(`layer${i}`, motion.x, layer.y);
+        return;
+      }
+
+      case "ticker": {
+        const rendered = story.textLayers?.[i];
+        if (!rendered) return;
+        const speed = layer.speed ?? 200;
+        filter.push(`[${still(rendered.file)}:v]format=rgba[layer${i}]`);
+        overlay(`layer${i}`, `'W-mod(t*${speed},W+w)'`, layer.y);
+        return;
+      }
+
+      case "captions": {
+        if (!story.subtitleFile) return;
+        const fontsDir = path.dirname(resolveFont("language", story.fontFile));
+        chain(
+          `ass=filename='${filterPath(story.subtitleFile)}':fontsdir='${filterPath(fontsDir)}'`
+        );
+        return;
+      }
+
+      default:
+        throw new Error(`Template ${template.name}: unknown layer type "${layer.type}"`);
+    }
+  });
+
+  // Narration padded with silence through the outro hold, so audio and
+  // video end together when the reels are concatenated
+  let audioLabel = null;
+  if (story.audioFile) {
+    filter.push(`[${addInput(story.audioFile)}:a]apad[aout]`);
+    audioLabel = "aout";
+  }
+  return { inputs, filter, videoLabel: current, audioLabel };
+}
+
+// ---------- RENDER ----------
+export async function generateReel({
+  template = DEFAULT_TEMPLATE,
+  section,
+  imageFile,
+  audioFile,
+  audioDuration,
+  pauses,
+  text,
+  fontFile,
+  subtitleFile,
+  outputFile,
+}) {
+  const layout = typeof template === "string" ? loadTemplate(template) : template;
+  const narration = audioDuration || (await getMediaDuration(audioFile)) || 30;
+  const timeline = reelTimeline(layout, narration, pauses);
+  console.log(
+    `🎬 Template: ${layout.name}, 🎵 Narration: ${narration.toFixed(2)}s,`,
+    `speech ${timeline.speech.start}–${timeline.speech.end}s, reel ${timeline.duration}s`
+  );
+
+  const story = { section, imageFile, audioFile, timeline, text, fontFile, subtitleFile };
+  const layerDir = fs.mkdtempSync(path.join(os.tmpdir(), "reel-layers-"));
+
+  try {
+    story.textLayers = await renderTextLayers(layout, story, layerDir);
+    const compiled = compileTemplate(layout, story);
+    await renderCompiled(compiled, timeline.duration, outputFile);
+  } finally {
+    fs.rmSync(layerDir, { recursive: true, force: true });
+  }
+
+  // How each text field was fitted, so callers can report truncations
+  const textFit = {};
+  Object.entries(story.textLayers).forEach(([i, rendered]) => {
+    const layer = layout.layers[i];
+    if (layer.type !== "text") return;
+    textFit[layer.field] = { fontSize: rendered.fontSize, truncated: rendered.truncated };
+  });
+  return { file: outputFile, textFit, timeline };
+}
+
+function renderCompiled({ inputs, filter, videoLabel, audioLabel }, duration, outputFile) {
+  return new Promise((resolve, reject) => {
+    const ff = ffmpeg();
+    inputs.forEach(({ file, options }) => ff.input(file).inputOptions(options));
+
+    ff.complexFilter(filter)
+      .outputOptions([
+        `-map [${videoLabel}]`,
+        ...(audioLabel ? [`-map [${audioLabel}]`] : []),
+        "-c:v libx264",
+        "-crf 18",
+        "-preset medium",
+        "-pix_fmt yuv420p",
+        "-c:a aac",
+        `-t ${duration.toFixed(3)}`,
+      ])
+      .on("end", () => {
+        console.log("✅ Reel generated:", outputFile);
+        resolve(outputFile);
+      })
+      .on("error", (err) => {
+        console.error("❌ FFmpeg error (generateReel):", err.message || err);
+        reject(err);
+      })
+      .save(outputFile);
+  });
+}
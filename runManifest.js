@@ -0,0 +1,91 @@
+// filename: runManifest.js
+// Per-date run manifest (output/<date>/run_manifest.json). Every stage adds
+// its own section so one file explains what happened during a run, and the
+// saved bulletin plus per-item stage progress let a re-run resume.
+import fs from "fs";
+import path from "path";
+
+export function getManifestPath(date) {
+  return path.join(process.cwd(), "output", date, "run_manifest.json");
+}
+
+export function readManifest(date) {
+  const file = getManifestPath(date);
+  if (!fs.existsSync(file)) return { date };
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    console.warn("⚠️ Run manifest unreadable, starting fresh:", err.message);
+    return { date };
+  }
+}
+
+export function recordRun(date, section, data) {
+  const file = getManifestPath(date);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const manifest = readManifest(date);
+  manifest[section] = data;
+  manifest.updatedAt = new Date().toISOString();
+
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2), "utf-8");
+  return manifest;
+}
+
+// ---------- STAGES (resume) ----------
+// Per-item progress so a crashed run picks up where it stopped:
+// stages[<key>][<stage>] = { status, at, artifacts: { name: path }, ... }.
+// Keys are "<id>_<language>" for story stages and "<language>" for the
+// bulletin-wide ones; per-format stages are named "<stage>:<format>".
+// A stage only counts as done while every artifact it recorded exists.
+// RESUME=off ignores recorded progress (and the saved bulletin).
+export const STAGES = ["audio", "image", "overlay", "reel", "merge", "thumbnail", "upload"];
+
+export function resumeEnabled() {
+  return process.env.RESUME !== "off";
+}
+
+export function stageKey(id, language) {
+  return id === null ? language : `${id}_${language}`;
+}
+
+export function stageName(stage, format) {
+  if (!STAGES.includes(stage)) throw new Error(`Unknown stage "${stage}"`);
+  return format ? `${stage}:${format}` : stage;
+}
+
+// The stage's record if it finished and its artifacts are still on disk,
+// whatever RESUME says
+export function finishedStage(date, key, stage, format) {
+  const record = readManifest(date).stages?.[key]?.[stageName(stage, format)];
+  if (record?.status !== "done") return null;
+
+  const missing = Object.values(record.artifacts || {}).filter(
+    (file) => typeof file === "string" && !fs.existsSync(file)
+  );
+  return missing.length === 0 ? record : null;
+}
+
+// finishedStage, for deciding whether a stage can be skipped on resume
+export function completedStage(date, key, stage, format) {
+  return resumeEnabled() ? finishedStage(date, key, stage, format) : null;
+}
+
+// status: "done" | "failed"; anything else in `data` is kept as-is
+export function markStage(date, key, stage, format, { status = "done", ...data } = {}) {
+  const stages = readManifest(date).stages || {};
+  stages[key] = {
+    ...stages[key],
+    [stageName(stage, format)]: { status, at: new Date().toISOString(), ...data },
+  };
+  return recordRun(date, "stages", stages);
+}
+
+// ---------- BULLETIN ----------
+export function saveBulletin(date, bulletin) {
+  return recordRun(date, "bulletin", bulletin);
+}
+
+export function savedBulletin(date) {
+  return resumeEnabled() ? readManifest(date).bulletin || null : null;
+}
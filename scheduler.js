@@ -0,0 +1,123 @@
+// filename: scheduler.js
+// Job scheduling for the per-item pipeline: a "network" pool for TTS and
+// image fetching and a "cpu" pool for ffmpeg encodes, each with its own
+// concurrency limit, per-provider rate limits instead of fixed sleeps, and
+// a cli-progress display. Settings live in config/scheduler.json;
+// NETWORK_CONCURRENCY / CPU_CONCURRENCY override the limits for a run.
+import os from "os";
+import util from "util";
+import cliProgress from "cli-progress";
+import { loadJSONConfig } from "./config.js";
+
+export const SCHEDULER_CONFIG = loadJSONConfig("scheduler.json", "SCHEDULER_CONFIG");
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ---------- POOLS ----------
+// "auto" leaves half the cores free, as every ffmpeg encode is multithreaded
+function limitFor(kind) {
+  const value =
+    Number(process.env[`${kind.toUpperCase()}_CONCURRENCY`]) ||
+    SCHEDULER_CONFIG.concurrency?.[kind];
+  if (value === "auto") return Math.max(1, Math.floor(os.cpus().length / 2));
+  return Math.max(1, Number(value) || 1);
+}
+
+// Runs at most `limit` jobs at once; the rest wait in arrival order.
+// A job must not wait on another job of the same pool.
+export function createPool(name, limit) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= limit || waiting.length === 0) return;
+    active++;
+    const { job, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(job)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return {
+    name,
+    limit,
+    run(job) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ job, resolve, reject });
+        next();
+      });
+    },
+  };
+}
+
+// "images" picks one story image at a time (its search still takes a
+// network worker) so every pick sees the hashes of the ones before it;
+// the bulletin-wide duplicate check depends on that, so it is not
+// configurable.
+export const pools = {
+  network: createPool("network", limitFor("network")),
+  cpu: createPool("cpu", limitFor("cpu")),
+  images: createPool("images", 1),
+};
+
+// ---------- RATE LIMITS ----------
+// Calls to one provider start at least 60 s / perMinute apart (plus random
+// jitter) across all workers. Providers without a limit are not delayed.
+const nextSlot = new Map();
+
+export async function rateLimit(provider) {
+  const limit = SCHEDULER_CONFIG.rateLimits?.[provider];
+  if (!limit?.perMinute) return;
+
+  const now = Date.now();
+  const at = Math.max(now, nextSlot.get(provider) || 0);
+  nextSlot.set(provider, at + 60000 / limit.perMinute + Math.random() * (limit.jitterMs || 0));
+  if (at > now) await sleep(at - now);
+}
+
+// ---------- PROGRESS ----------
+// One bar per stage on a terminal; CI and PROGRESS=off keep plain logs.
+// totals: { stage: count }. While the bars are shown, console output is
+// printed above them instead of through them.
+export function createProgress(totals) {
+  const enabled =
+    SCHEDULER_CONFIG.progress !== false &&
+    process.env.PROGRESS !== "off" &&
+    process.stdout.isTTY;
+  if (!enabled) return { tick() {}, stop() {} };
+
+  const multibar = new cliProgress.MultiBar(
+    {
+      format: " {stage} |{bar}| {value}/{total}",
+      hideCursor: true,
+      clearOnComplete: false,
+    },
+    cliProgress.Presets.shades_classic
+  );
+  const bars = Object.fromEntries(
+    Object.entries(totals).map(([stage, total]) => [
+      stage,
+      multibar.create(total, 0, { stage: stage.padEnd(7) }),
+    ])
+  );
+
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  Object.keys(original).forEach((level) => {
+    console[level] = (...args) => multibar.log(`${util.format(...args)}\n`);
+  });
+
+  return {
+    // Counts a finished job, whether it succeeded, failed or was skipped
+    tick(stage) {
+      bars[stage]?.increment();
+    },
+    stop() {
+      multibar.stop();
+      Object.assign(console, original);
+    },
+  };
+}
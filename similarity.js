@@ -0,0 +1,50 @@
+// filename: similarity.js
+// Lightweight text similarity helpers (no external NLP dependency).
+
+const STOPWORDS = new Set(
+  (
+    "a an the and or but of to in on at for from by with as is are was were be been " +
+    "has have had it its this that these those after over amid into about than new " +
+    "says said say will would could can may might not no more most up out its their " +
+    "his her he she they we you i us our who what when where why how all any some"
+  ).split(" ")
+);
+
+// Lowercased word tokens without punctuation or stopwords. Unicode-aware so
+// Hindi and Gujarati text tokenizes too.
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter((w) => w.length > 1 && !STOPWORDS.has(w));
+}
+
+export function jaccard(tokensA, tokensB) {
+  const a = new Set(tokensA);
+  const b = new Set(tokensB);
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  a.forEach((t) => {
+    if (b.has(t)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// Share of the query tokens that appear in the candidate text (0..1)
+export function overlap(queryTokens, candidateTokens) {
+  const q = new Set(queryTokens);
+  const c = new Set(candidateTokens);
+  if (q.size === 0) return 0;
+
+  let shared = 0;
+  q.forEach((t) => {
+    if (c.has(t)) shared++;
+  });
+  return shared / q.size;
+}
+
+export function textSimilarity(textA, textB) {
+  return jaccard(tokenize(textA), tokenize(textB));
+}
@@ -0,0 +1,158 @@
+// filename: storyHistory.js
+// Persistent history of published bulletin items (output/story_history.json,
+// or STORY_HISTORY_PATH) used to keep multi-day follow-ups from being
+// re-reported verbatim. The scheduled workflow keeps it in the Actions cache.
+import fs from "fs";
+import path from "path";
+import dayjs from "dayjs";
+import { textSimilarity } from "./similarity.js";
+import { LANGUAGES } from "./languages.js";
+
+const HISTORY_PATH = path.resolve(
+  process.env.STORY_HISTORY_PATH ||
+    path.join(process.cwd(), "output", "story_history.json")
+);
+const KEEP_DAYS = 30;
+
+export const DEDUPE_DAYS = Number(process.env.DEDUPE_DAYS ?? 3);
+export const DEDUPE_THRESHOLD = Number(process.env.DEDUPE_THRESHOLD ?? 0.45);
+// A follow-up whose description is this close to the old one is still a repeat
+const VERBATIM_THRESHOLD = 0.7;
+
+function readHistory() {
+  if (!fs.existsSync(HISTORY_PATH)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(HISTORY_PATH, "utf-8"));
+  } catch (err) {
+    console.warn("⚠️ Story history unreadable, ignoring:", err.message);
+    return [];
+  }
+}
+
+// ---------- MATCH ----------
+// Stories are compared in the first enabled language, the one every entry
+// is recorded in. Entries written in another language (an older run or a
+// different LANGUAGES) can still match on their source articles.
+function storyText(item) {
+  const language = LANGUAGES[0];
+  return {
+    language,
+    title: item[language]?.title || "",
+    description: item[language]?.description || "",
+  };
+}
+
+function compare(item, past) {
+  const text = storyText(item);
+  const sameLanguage = (past.language || "english") === text.language;
+  const titleScore = sameLanguage ? textSimilarity(text.title, past.title) : 0;
+  const descScore = sameLanguage ? textSimilarity(text.description, past.description) : 0;
+  const sharedSource = (item.sources || []).some((s) =>
+    (past.sourceUrls || []).includes(s.url)
+  );
+
+  return {
+    score: sharedSource ? 1 : 0.6 * titleScore + 0.4 * descScore,
+    descScore,
+    sharedSource,
+  };
+}
+
+// Returns every item that repeats a story from the previous `days` days,
+// with the best matching past story and why it is considered a repeat.
+export function findDuplicates(bulletin, date, { days = DEDUPE_DAYS, threshold = DEDUPE_THRESHOLD } = {}) {
+  const from = dayjs(date).subtract(days, "day").format("YYYY-MM-DD");
+  const recent = readHistory().filter((h) => h.date >= from && h.date < date);
+  const duplicates = [];
+  if (recent.length === 0) return duplicates;
+
+  ["India", "World"].forEach((section) => {
+    (bulletin[section] || []).forEach((item, index) => {
+      let best = null;
+      recent.forEach((past) => {
+        const match = compare(item, past);
+        if (!best || match.score > best.score) best = { ...match, past };
+      });
+      if (!best || best.score < threshold) return;
+
+      const followUp =
+        item.new_development && best.descScore < VERBATIM_THRESHOLD;
+      duplicates.push({
+        section,
+        index,
+        title: storyText(item).title,
+        matchedDate: best.past.date,
+        matchedTitle: best.past.title,
+        score: Number(best.score.toFixed(2)),
+        followUp: Boolean(followUp),
+        reason: followUp
+          ? `follow-up: ${item.new_development}`
+          : best.sharedSource
+          ? "cites the same source article as a previous bulletin"
+          : item.new_development
+          ? "claims a new development but repeats the previous description"
+          : "repeats a previous story without a new development",
+      });
+    });
+  });
+
+  return duplicates;
+}
+
+export function buildDedupePrompt(originalPrompt, rawText, duplicates) {
+  const list = duplicates
+    .map(
+      (d) =>
+        `- ${d.section}[${d.index}] "${d.title}" repeats "${d.matchedTitle}" from ${d.matchedDate} (${d.reason})`
+    )
+    .join("\n");
+
+  return `${originalPrompt}
+
+Your previous answer was:
+${rawText}
+
+These items repeat stories already reported in the previous ${DEDUPE_DAYS} days:
+${list}
+
+For each listed item either replace it with a different source story, or, only if the sources report a genuine new development, rewrite the item around that development and add a top-level item field "new_development" with one English sentence describing what is new.
+Return only the corrected, complete JSON object with no comments, explanations, or extra text.`;
+}
+
+// Drops repeated items that are not accepted follow-ups
+export function dropDuplicates(bulletin, duplicates) {
+  const rejected = duplicates.filter((d) => !d.followUp);
+  const result = {};
+  ["India", "World"].forEach((section) => {
+    result[section] = (bulletin[section] || []).filter(
+      (item, index) =>
+        !rejected.some((d) => d.section === section && d.index === index)
+    );
+  });
+  return { bulletin: result, dropped: rejected };
+}
+
+// ---------- SAVE ----------
+// Called once a bulletin's final is merged. Replaces any entries for
+// `date`, so re-running a day never matches itself
+export function recordStories(date, bulletin) {
+  const cutoff = dayjs(date).subtract(KEEP_DAYS, "day").format("YYYY-MM-DD");
+  const history = readHistory().filter((h) => h.date !== date && h.date >= cutoff);
+
+  ["India", "World"].forEach((section) => {
+    (bulletin[section] || []).forEach((item) => {
+      const { language, title, description } = storyText(item);
+      history.push({
+        date,
+        section,
+        language,
+        title,
+        description,
+        sourceUrls: (item.sources || []).map((s) => s.url),
+      });
+    });
+  });
+
+  fs.mkdirSync(path.dirname(HISTORY_PATH), { recursive: true });
+  fs.writeFileSync(HISTORY_PATH, JSON.stringify(history, null, 2), "utf-8");
+}
@@ -0,0 +1,177 @@
+// filename: subtitles.js
+// Timed captions for each reel. Cue timing is estimated from the narration:
+// the spoken part of the audio is shared between words by their length, with
+// extra weight for the pauses at commas and sentence ends. Written as SRT
+// (phrase cues) and ASS (same cues, optional word-level karaoke highlight).
+// Settings live in config/subtitles.json.
+import fs from "fs";
+import { loadJSONConfig } from "./config.js";
+
+export const SUBTITLE_CONFIG = loadJSONConfig("subtitles.json", "SUBTITLES_CONFIG");
+
+const CLAUSE_END = /[,;:،]$/;
+const SENTENCE_END = /[.!?।॥]$/;
+
+// SUBTITLES_BURN_IN=true/false overrides the config for a run
+export function burnInEnabled() {
+  const env = process.env.SUBTITLES_BURN_IN;
+  if (env !== undefined) return env === "true" || env === "1";
+  return Boolean(SUBTITLE_CONFIG.burnIn);
+}
+
+// ---------- TIMING ----------
+function wordWeight(word) {
+  const { clause, sentence } = SUBTITLE_CONFIG.pauseWeight;
+  let weight = [...word].length + 1;
+  if (SENTENCE_END.test(word)) weight += sentence;
+  else if (CLAUSE_END.test(word)) weight += clause;
+  return weight;
+}
+
+// Words of `text` with start/end seconds, spread over the speech that
+// starts at `offset` and lasts `duration` seconds.
+export function estimateWordTimings(text, duration, offset = 0) {
+  const words = (text || "").split(/\s+/).filter(Boolean);
+  const total = words.reduce((sum, w) => sum + wordWeight(w), 0);
+  if (!total || !(duration > 0)) return [];
+
+  let t = offset;
+  return words.map((word) => {
+    const length = (wordWeight(word) / total) * duration;
+    const timing = { word, start: t, end: t + length };
+    t += length;
+    return timing;
+  });
+}
+
+// Groups words into phrase cues, breaking at sentence ends, at clause ends
+// once a cue is half full, and before `maxChars` is exceeded.
+export function groupCues(words, maxChars = SUBTITLE_CONFIG.maxCharsPerCue) {
+  const cues = [];
+  let current = [];
+  const length = (ws) => ws.map((w) => w.word).join(" ").length;
+
+  words.forEach((w) => {
+    if (current.length && length([...current, w]) > maxChars) {
+      cues.push(current);
+      current = [];
+    }
+    current.push(w);
+    if (
+      SENTENCE_END.test(w.word) ||
+      (CLAUSE_END.test(w.word) && length(current) >= maxChars / 2)
+    ) {
+      cues.push(current);
+      current = [];
+    }
+  });
+  if (current.length) cues.push(current);
+
+  return cues.map((ws) => ({
+    start: ws[0].start,
+    end: ws[ws.length - 1].end,
+    text: ws.map((w) => w.word).join(" "),
+    words: ws,
+  }));
+}
+
+export function buildCues(text, duration, offset = 0) {
+  return groupCues(estimateWordTimings(text, duration, offset));
+}
+
+// ---------- SRT ----------
+function srtTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, l = 2) => String(n).padStart(l, "0");
+  return `${pad(Math.floor(ms / 3_600_000))}:${pad(Math.floor(ms / 60_000) % 60)}:${pad(
+    Math.floor(ms / 1000) % 60
+  )},${pad(ms % 1000, 3)}`;
+}
+
+export function toSRT(cues) {
+  return (
+    cues
+      .map((c, i) => `${i + 1}\n${srtTime(c.start)} --> ${srtTime(c.end)}\n${c.text}\n`)
+      .join("\n")
+  );
+}
+
+// ---------- ASS ----------
+function assTime(seconds) {
+  const cs = Math.round(seconds * 100);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${Math.floor(cs / 360_000)}:${pad(Math.floor(cs / 6000) % 60)}:${pad(
+    Math.floor(cs / 100) % 60
+  )}.${pad(cs % 100)}`;
+}
+
+// ASS has no escape for override braces or backslashes, drop them
+function assText(text) {
+  return text.replace(/[{}\\]/g, "");
+}
+
+// `\kf` fills each word from SecondaryColour to PrimaryColour while spoken
+function karaokeLine(cue) {
+  return cue.words
+    .map((w, i) => {
+      const next = cue.words[i + 1];
+      const cs = Math.round(((next ? next.start : w.end) - w.start) * 100);
+      return `{\\kf${cs}}${assText(w.word)}`;
+    })
+    .join(" ");
+}
+
+// `width`/`height` are the video's; the style is designed for 1080x1920 and
+// scaled with the height so other formats keep the same proportions.
+export function toASS(
+  cues,
+  { fontName, karaoke = SUBTITLE_CONFIG.karaoke, width = 1080, height = 1920 } = {}
+) {
+  const s = SUBTITLE_CONFIG.style;
+  const font = fontName || s.fontName;
+  const scale = height / 1920;
+  const px = (value) => Math.round(value * scale);
+  // Without karaoke the whole line is shown in the highlight colour
+  const primary = s.highlightColour;
+  const secondary = karaoke ? s.textColour : s.highlightColour;
+
+  const header = [
+    "[Script Info]",
+    "ScriptType: v4.00+",
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    "WrapStyle: 0",
+    "ScaledBorderAndShadow: yes",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+    `Style: Caption,${font},${px(s.fontSize)},${primary},${secondary},${s.outlineColour},&H80000000,-1,0,0,0,100,100,0,0,1,${s.outline},${s.shadow},2,${px(s.marginH)},${px(s.marginH)},${px(s.marginV)},1`,
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+  ];
+
+  const events = cues.map(
+    (c) =>
+      `Dialogue: 0,${assTime(c.start)},${assTime(c.end)},Caption,,0,0,0,,${
+        karaoke ? karaokeLine(c) : assText(c.text)
+      }`
+  );
+
+  return [...header, ...events, ""].join("\n");
+}
+
+// ---------- MAIN ENTRY ----------
+// Writes <basePath>.srt and <basePath>.ass, returns their paths
+export function writeSubtitles(basePath, cues, options = {}) {
+  const srt = `${basePath}.srt`;
+  fs.writeFileSync(srt, toSRT(cues), "utf-8");
+  return { srt, ass: writeASS(basePath, cues, options) };
+}
+
+// Writes <basePath>.ass only, e.g. for a second video size (see toASS)
+export function writeASS(basePath, cues, options = {}) {
+  const ass = `${basePath}.ass`;
+  fs.writeFileSync(ass, toASS(cues, options), "utf-8");
+  return ass;
+}
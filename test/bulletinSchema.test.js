@@ -0,0 +1,68 @@
+// filename: test/bulletinSchema.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import {
+  validateBulletin,
+  normalizeBulletin,
+  formatValidationErrors,
+  buildRepairPrompt,
+} from "../bulletinSchema.js";
+import { LANGUAGES } from "../languages.js";
+
+const fixture = () => JSON.parse(fs.readFileSync("fixtures/bulletin.json", "utf-8"));
+
+test("the mock fixture is a valid bulletin", () => {
+  assert.deepEqual(validateBulletin(fixture()), { valid: true, errors: [] });
+});
+
+test("reports every problem with its path", () => {
+  const broken = fixture();
+  broken.India = broken.India.slice(0, 1);
+  broken.World[0][LANGUAGES[0]].title = "Short";
+  delete broken.hashtags;
+
+  const { valid, errors } = validateBulletin(broken);
+  assert.equal(valid, false);
+  const paths = errors.map((e) => e.path);
+  assert.ok(paths.includes("India"));
+  assert.ok(paths.includes(`World[0].${LANGUAGES[0]}.title`));
+  assert.ok(paths.includes("hashtags"));
+});
+
+test("rejects source ids that are not among the feed stories", () => {
+  const stories = { India: [{ id: "IN-1" }], World: [] };
+  const { valid, errors } = validateBulletin(fixture(), stories);
+  assert.equal(valid, false);
+  assert.ok(errors.some((e) => /source_ids/.test(e.path)));
+});
+
+test("the repair prompt carries the original prompt, answer and errors", () => {
+  const errors = [{ path: "World[0].english.title", message: "is too short" }];
+  const prompt = buildRepairPrompt("ORIGINAL", '{"India": []}', errors);
+  assert.ok(prompt.startsWith("ORIGINAL"));
+  assert.ok(prompt.includes('{"India": []}'));
+  assert.ok(prompt.includes(formatValidationErrors(errors)));
+});
+
+test("normalizing keeps only the enabled languages and tags the section", () => {
+  const raw = fixture();
+  raw.India[0].klingon = { title: "x", description: "y", why_it_matters: "z" };
+
+  const { safeParsed, youtubeSEO } = normalizeBulletin(raw);
+  assert.equal(safeParsed.India[0].india, true);
+  assert.equal(safeParsed.World[0].india, false);
+  assert.equal(safeParsed.India[0].klingon, undefined);
+  LANGUAGES.forEach((lang) => assert.ok(safeParsed.India[0][lang].title));
+  assert.equal(youtubeSEO.Title, raw.title.trim());
+});
+
+test("the optional image query is checked and kept", () => {
+  const raw = fixture();
+  raw.World[1].image_query = "  glacier  ";
+  assert.equal(normalizeBulletin(raw).safeParsed.World[1].image_query, "glacier");
+
+  raw.World[1].image_query = "";
+  const { errors } = validateBulletin(raw);
+  assert.deepEqual(errors.map((e) => e.path), ["World[1].image_query"]);
+});
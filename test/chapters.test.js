@@ -0,0 +1,74 @@
+// filename: test/chapters.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { formatTimestamp, buildChapters, formatChapters } from "../chapters.js";
+
+const story = (title) => ({ english: { title } });
+const bulletin = {
+  India: [story("Monsoon arrives early"), story("Budget session opens")],
+  World: [story("Summit ends without a deal")],
+};
+
+// intro, three reels and the outro, back to back
+const merge = (durations) => {
+  const files = [
+    "Reel_1.mp4",
+    "reel_english1_landscape.mp4",
+    "reel_english2_landscape.mp4",
+    "reel_english3_landscape.mp4",
+    "Reel_5.mp4",
+  ];
+  let start = 0;
+  const segments = files.map((file, i) => {
+    const segment = { file, start, duration: durations[i] };
+    start += durations[i];
+    return segment;
+  });
+  return { duration: start, segments };
+};
+
+test("timestamps drop the hour until there is one", () => {
+  assert.equal(formatTimestamp(0), "00:00");
+  assert.equal(formatTimestamp(75.4), "01:15");
+  assert.equal(formatTimestamp(3725), "1:02:05");
+});
+
+test("chapters start where their reels start in the merged video", () => {
+  const chapters = buildChapters(merge([12, 20, 25, 30, 3]), bulletin, "english");
+  assert.deepEqual(chapters, [
+    { start: 0, title: "Intro" },
+    { start: 12, title: "Monsoon arrives early" },
+    { start: 32, title: "Budget session opens" },
+    { start: 57, title: "Summit ends without a deal" },
+  ]);
+});
+
+test("a too-short intro hands 00:00 to the first story", () => {
+  const chapters = buildChapters(merge([2, 20, 25, 30, 3]), bulletin, "english");
+  assert.deepEqual(
+    chapters.map((c) => [c.start, c.title]),
+    [
+      [0, "Monsoon arrives early"],
+      [22, "Budget session opens"],
+      [47, "Summit ends without a deal"],
+    ]
+  );
+});
+
+test("fewer than three chapters are dropped", () => {
+  const short = merge([2, 20, 5, 5, 1]);
+  assert.deepEqual(buildChapters(short, bulletin, "english"), []);
+  assert.equal(formatChapters([], "english"), "");
+});
+
+test("the description section lists one chapter per line", () => {
+  const text = formatChapters(
+    [
+      { start: 0, title: "Intro" },
+      { start: 12, title: "<Monsoon>" },
+      { start: 75, title: "Budget" },
+    ],
+    "english"
+  );
+  assert.match(text, /\n00:00 Intro\n00:12 Monsoon\n01:15 Budget$/);
+});
@@ -0,0 +1,80 @@
+// filename: test/mockPipeline.test.js
+// The whole bulletin offline: mock LLM (a broken answer first, so the repair
+// re-prompt runs), fixture feeds, local TTS, text-card images, one language
+// and format, no upload. Runs in a temporary directory so nothing lands in
+// the repo. Needs ffmpeg/ffprobe, a working `canvas` build and the local TTS
+// command (espeak-ng). Without one it is skipped locally but fails under CI,
+// so a CI run can't go green without the pipeline having run.
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const DATE = "2025-09-19";
+
+async function missingPrerequisite() {
+  try {
+    await import("canvas");
+  } catch (err) {
+    return `canvas does not load (${err.message.split("\n")[0]})`;
+  }
+  const commands = [
+    ["ffprobe", ["-version"]],
+    [process.env.TTS_LOCAL_COMMAND || "espeak-ng", ["--version"]],
+  ];
+  for (const [command, args] of commands) {
+    if (spawnSync(command, args, { stdio: "ignore" }).error) return `${command} not found`;
+  }
+  return null;
+}
+
+test("the mock bulletin runs end to end without network", async (t) => {
+  const missing = await missingPrerequisite();
+  if (missing) {
+    if (process.env.CI) assert.fail(`mock pipeline cannot run: ${missing}`);
+    t.skip(missing);
+    return;
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "news-reel-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  ["config", "fixtures", "assests"].forEach((name) =>
+    fs.symlinkSync(path.join(ROOT, name), path.join(dir, name))
+  );
+
+  const run = spawnSync(process.execPath, [path.join(ROOT, "cli.js"), "run", "--skip-upload"], {
+    cwd: dir,
+    encoding: "utf-8",
+    timeout: 10 * 60 * 1000,
+    env: {
+      ...process.env,
+      NEWS_DATE: DATE,
+      LANGUAGES: "english",
+      FORMATS: "vertical",
+      LLM_PROVIDER: "mock",
+      LLM_MOCK_FIXTURE: "fixtures/broken.json,fixtures/bulletin.json",
+      FEEDS_CONFIG: "fixtures/feeds.json",
+      TTS_ENGINES: "local",
+      IMAGE_PROVIDERS: "card",
+      TRANSITION: "cut",
+      STORY_HISTORY_PATH: path.join(dir, "story_history.json"),
+      PROGRESS: "off",
+    },
+  });
+  const log = `${run.stdout}\n${run.stderr}`;
+  assert.equal(run.status, 0, log);
+  assert.match(log, /Re-prompting mock to repair/);
+
+  const outputDir = path.join(dir, "output", DATE);
+  const final = path.join(outputDir, "final_english_vertical.mp4");
+  assert.ok(fs.existsSync(final), "final video missing");
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, "run_manifest.json"), "utf-8"));
+  assert.equal(manifest.pipeline.ok, true);
+  assert.equal(manifest.merge.english.vertical.segments.length, 6); // intro, 4 reels, outro
+  assert.ok(!Object.keys(manifest.pipeline.tasks).some((id) => id.startsWith("upload:")));
+});
@@ -0,0 +1,103 @@
+// filename: test/pipeline.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { runPipeline, selectTasks, formatReport } from "../pipeline.js";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("a task starts after its needs and gets their results", async () => {
+  const order = [];
+  const task = (id, ms, extra = {}) => ({
+    id,
+    stage: id.split(":")[0],
+    run: async (inputs) => {
+      await wait(ms);
+      order.push(id);
+      return { id, inputs };
+    },
+    ...extra,
+  });
+
+  const report = await runPipeline([
+    task("reels:1", 0, { needs: ["audio:1", "image:1"] }),
+    task("audio:1", 20),
+    task("image:1", 5),
+    task("merge:en", 0, { after: ["reels:1"] }),
+  ]);
+
+  assert.equal(report.ok, true);
+  assert.deepEqual(order, ["image:1", "audio:1", "reels:1", "merge:en"]);
+});
+
+test("a failure skips what needs it and leaves the other languages running", async () => {
+  const report = await runPipeline([
+    { id: "audio:1:hi", stage: "tts", run: async () => { throw new Error("TTS down"); } },
+    { id: "audio:1:en", stage: "tts", run: async () => "en.mp3" },
+    { id: "reels:1:hi", stage: "render", needs: ["audio:1:hi"], run: async () => "hi.mp4" },
+    { id: "reels:1:en", stage: "render", needs: ["audio:1:en"], run: async () => "en.mp4" },
+    { id: "merge:hi", stage: "merge", after: ["reels:1:hi"], run: async () => "hi" },
+    { id: "upload:hi", stage: "upload", needs: ["reels:1:hi"], run: async () => "hi" },
+  ]);
+
+  assert.equal(report.ok, false);
+  assert.equal(report.tasks["audio:1:hi"].status, "failed");
+  assert.equal(report.tasks["audio:1:hi"].error, "TTS down");
+  assert.equal(report.tasks["reels:1:hi"].status, "skipped");
+  assert.deepEqual(report.tasks["upload:hi"].blockedBy, ["reels:1:hi"]);
+  // `after` only orders, it does not block
+  assert.equal(report.tasks["merge:hi"].status, "done");
+  assert.equal(report.tasks["reels:1:en"].status, "done");
+
+  const lines = formatReport(report).split("\n");
+  assert.deepEqual(lines, [
+    "❌ audio:1:hi: TTS down",
+    "⏭️ reels:1:hi: skipped (needs audio:1:hi)",
+    "⏭️ upload:hi: skipped (needs reels:1:hi)",
+  ]);
+});
+
+test("missing declared outputs fail the task", async () => {
+  const report = await runPipeline([
+    { id: "merge:en", stage: "merge", outputs: () => ["/no/such/final.mp4"], run: async () => 1 },
+  ]);
+  assert.equal(report.tasks["merge:en"].status, "failed");
+  assert.match(report.tasks["merge:en"].error, /declared outputs missing/);
+});
+
+test("malformed graphs are rejected before anything runs", async () => {
+  let ran = false;
+  const run = async () => {
+    ran = true;
+  };
+  await assert.rejects(
+    runPipeline([
+      { id: "a", needs: ["b"], run },
+      { id: "b", after: ["a"], run },
+    ]),
+    /cycle: a → b → a/
+  );
+  await assert.rejects(runPipeline([{ id: "a", needs: ["nope"], run }]), /unknown "nope"/);
+  await assert.rejects(runPipeline([{ id: "a", run }, { id: "a", run }]), /Duplicate/);
+  assert.equal(ran, false);
+});
+
+test("selecting a stage keeps what it needs and drops ordering-only edges", () => {
+  const tasks = [
+    { id: "audio:1", stage: "tts" },
+    { id: "image:1", stage: "images" },
+    { id: "reels:1", stage: "render", needs: ["audio:1", "image:1"] },
+    { id: "merge:en", stage: "merge", after: ["reels:1"] },
+    { id: "thumbnail:en", stage: "thumbnail" },
+    { id: "upload:en", stage: "upload", needs: ["merge:en", "thumbnail:en"] },
+  ];
+
+  const merge = selectTasks(tasks, ["merge"]);
+  assert.deepEqual(merge.map((t) => t.id), ["merge:en"]);
+  assert.deepEqual(merge[0].after, []);
+
+  const upload = selectTasks(tasks, ["upload"]);
+  assert.deepEqual(upload.map((t) => t.id), ["merge:en", "thumbnail:en", "upload:en"]);
+
+  const render = selectTasks(tasks, ["render"]);
+  assert.deepEqual(render.map((t) => t.id), ["audio:1", "image:1", "reels:1"]);
+});
@@ -0,0 +1,59 @@
+// filename: test/subtitles.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  estimateWordTimings,
+  buildCues,
+  toSRT,
+  SUBTITLE_CONFIG,
+} from "../subtitles.js";
+
+const TEXT =
+  "Heavy rain lashed Mumbai on Monday, flooding low-lying areas. " +
+  "Local trains ran late and schools stayed shut as the city braced for more showers.";
+
+const close = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+test("word timings cover exactly the spoken part of the audio", () => {
+  const words = estimateWordTimings(TEXT, 10, 0.5);
+  close(words[0].start, 0.5);
+  close(words.at(-1).end, 10.5);
+  words.slice(1).forEach((w, i) => close(w.start, words[i].end));
+});
+
+test("longer words and sentence ends get more time", () => {
+  const words = estimateWordTimings("a extraordinarily. b", 6);
+  const length = (w) => w.end - w.start;
+  assert.ok(length(words[1]) > length(words[0]));
+  assert.ok(length(words[1]) > length(words[2]));
+});
+
+test("no text or no time gives no cues", () => {
+  assert.deepEqual(buildCues("", 5), []);
+  assert.deepEqual(buildCues(TEXT, 0), []);
+});
+
+test("cues break at sentence ends and stay within the character limit", () => {
+  const cues = buildCues(TEXT, 10, 0.5);
+  close(cues[0].start, 0.5);
+  close(cues.at(-1).end, 10.5);
+  assert.ok(cues.some((c) => c.text.endsWith("areas.")));
+  cues.forEach((c) => {
+    assert.ok(c.start < c.end);
+    assert.ok(c.words.length === 1 || c.text.length <= SUBTITLE_CONFIG.maxCharsPerCue, c.text);
+  });
+  cues.slice(1).forEach((c, i) => close(c.start, cues[i].end));
+});
+
+test("SRT numbers the cues with millisecond timestamps", () => {
+  const srt = toSRT([
+    { start: 0.5, end: 2.25, text: "First cue" },
+    { start: 2.25, end: 3661.001, text: "Second cue" },
+  ]);
+  assert.equal(
+    srt,
+    "1\n00:00:00,500 --> 00:00:02,250\nFirst cue\n\n" +
+      "2\n00:00:02,250 --> 01:01:01,001\nSecond cue\n"
+  );
+});
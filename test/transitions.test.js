@@ -0,0 +1,62 @@
+// filename: test/transitions.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { transitionFilters, TRANSITIONS_CONFIG } from "../transitions.js";
+
+const size = { width: 1080, height: 1920 };
+const segments = [{ duration: 3 }, { duration: 10 }, { duration: 8 }, { duration: 2.5 }];
+
+function withTransition(type, fn) {
+  const previous = process.env.TRANSITION;
+  process.env.TRANSITION = type;
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) delete process.env.TRANSITION;
+    else process.env.TRANSITION = previous;
+  }
+}
+
+test("xfade overlaps every boundary by the transition length", () => {
+  const d = TRANSITIONS_CONFIG.duration;
+  const merged = withTransition("xfade", () => transitionFilters(segments, size));
+
+  const round = (n) => Number(n.toFixed(3));
+  assert.equal(merged.type, "xfade");
+  assert.deepEqual(merged.starts, [0, round(3 - d), round(13 - 2 * d), round(21 - 3 * d)]);
+  assert.equal(merged.duration, round(23.5 - 3 * d));
+
+  const offsets = merged.filter
+    .filter((f) => f.includes("xfade="))
+    .map((f) => Number(f.match(/offset=([\d.]+)/)[1]));
+  assert.deepEqual(offsets, merged.starts.slice(1));
+  assert.equal(merged.filter.filter((f) => f.includes("acrossfade=")).length, 3);
+});
+
+test("the transition never takes more than half the shortest segment", () => {
+  const short = [{ duration: 0.6 }, { duration: 5 }];
+  const merged = withTransition("xfade", () => transitionFilters(short, size));
+  assert.match(merged.filter.join(";"), /duration=0\.3:offset=0\.3/);
+  assert.deepEqual(merged.starts, [0, 0.3]);
+});
+
+test("a cut plays the segments back to back", () => {
+  const merged = withTransition("cut", () => transitionFilters(segments, size));
+  assert.deepEqual(merged.starts, [0, 3, 13, 21]);
+  assert.equal(merged.duration, 23.5);
+  assert.match(merged.filter.at(-1), /concat=n=4:v=1:a=1\[vout\]\[speechmix\]$/);
+});
+
+test("segments are padded, or cropped when they ask for it", () => {
+  const mixed = [{ duration: 3, fit: "crop" }, { duration: 5 }];
+  const merged = withTransition("cut", () =>
+    transitionFilters(mixed, { width: 1920, height: 1080 })
+  );
+  assert.match(merged.filter[0], /force_original_aspect_ratio=increase,crop=1920:1080/);
+  assert.match(merged.filter[1], /force_original_aspect_ratio=decrease,pad=1920:1080/);
+});
+
+test("an unknown type falls back to a cut", () => {
+  const merged = withTransition("wipe-o-matic", () => transitionFilters(segments, size));
+  assert.equal(merged.type, "cut");
+});
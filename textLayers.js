@@ -0,0 +1,204 @@
+// filename: textLayers.js
+// On-screen text rendered to transparent PNGs with sharp (Pango/HarfBuzz),
+// so Devanagari and Gujarati conjuncts and matras are shaped properly and
+// headlines never pass through an ffmpeg filter string. Reel templates
+// overlay the PNGs instead of using drawtext. Text is fitted to a pixel box
+// by measuring it with the real font (see fitText).
+import fs from "fs";
+import sharp from "sharp";
+
+const familyCache = new Map();
+
+// Family name (name ID 1) from a TrueType/OpenType font's "name" table.
+// Pango only uses a font file when it is also asked for by family.
+export function fontFamily(fontFile) {
+  if (familyCache.has(fontFile)) return familyCache.get(fontFile);
+
+  let family = null;
+  try {
+    const buf = fs.readFileSync(fontFile);
+    const numTables = buf.readUInt16BE(4);
+    for (let i = 0; i < numTables && !family; i++) {
+      const entry = 12 + i * 16;
+      if (buf.toString("latin1", entry, entry + 4) !== "name") continue;
+
+      const table = buf.readUInt32BE(entry + 8);
+      const count = buf.readUInt16BE(table + 2);
+      const strings = table + buf.readUInt16BE(table + 4);
+      for (let r = 0; r < count; r++) {
+        const rec = table + 6 + r * 12;
+        const platform = buf.readUInt16BE(rec);
+        const nameId = buf.readUInt16BE(rec + 6);
+        if (nameId !== 1 || (platform !== 3 && platform !== 1)) continue;
+
+        const start = strings + buf.readUInt16BE(rec + 10);
+        const raw = buf.subarray(start, start + buf.readUInt16BE(rec + 8));
+        family =
+          platform === 3
+            ? Buffer.from(raw).swap16().toString("utf16le")
+            : raw.toString("latin1");
+        if (platform === 3) break;
+      }
+    }
+  } catch (err) {
+    console.warn("⚠️ Could not read font name:", fontFile, err.message);
+  }
+
+  familyCache.set(fontFile, family);
+  return family;
+}
+
+// Pango markup treats &, < and > specially, nothing else needs escaping
+export function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// ---------- RENDER ----------
+function textImage({ text, fontFile, fontSize, color, lineSpacing, width, align }) {
+  const family = fontFile && fs.existsSync(fontFile) ? fontFamily(fontFile) : null;
+  return sharp({
+    text: {
+      // size is in 1/1024 pt; at 72 dpi a point is a pixel
+      text: `<span foreground="${color}" size="${Math.round(fontSize * 1024)}">${escapeMarkup(
+        text
+      )}</span>`,
+      font: family || undefined,
+      fontfile: family ? fontFile : undefined,
+      dpi: 72,
+      rgba: true,
+      spacing: lineSpacing || 0,
+      width,
+      align,
+      // Break inside a word only when it is wider than the box on its own
+      wrap: "word-char",
+    },
+  })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+}
+
+// ---------- FIT ----------
+// Wraps `text` to `maxWidth` pixels with the real font and picks the largest
+// size in [minFontSize, fontSize] whose block also fits `maxHeight`. Only
+// when even minFontSize overflows are trailing words cut and an ellipsis
+// added. Resolves { text, fontSize, truncated }.
+export async function fitText({
+  text,
+  fontFile,
+  fontSize,
+  minFontSize = fontSize,
+  maxWidth,
+  maxHeight,
+  lineSpacing,
+}) {
+  if (!maxWidth) return { text, fontSize, truncated: false };
+
+  const fits = async (candidate, size) => {
+    const { info } = await textImage({
+      text: candidate,
+      fontFile,
+      fontSize: size,
+      color: "white",
+      lineSpacing,
+      width: maxWidth,
+    });
+    return info.width <= maxWidth && (!maxHeight || info.height <= maxHeight);
+  };
+
+  if (await fits(text, fontSize)) return { text, fontSize, truncated: false };
+
+  let lo = minFontSize;
+  let hi = fontSize - 1;
+  let best = null;
+  while (lo <= hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await fits(text, mid)) {
+      best = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  if (best) return { text, fontSize: best, truncated: false };
+
+  // Last resort: keep as many leading words as fit at the minimum size
+  const words = text.split(/\s+/).filter(Boolean);
+  const cut = (n) => `${words.slice(0, n).join(" ").replace(/[\s,;:.\-–—]+$/, "")}…`;
+  lo = 1;
+  hi = words.length - 1;
+  let keep = 0;
+  while (lo <= hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await fits(cut(mid), minFontSize)) {
+      keep = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return { text: keep ? cut(keep) : "…", fontSize: minFontSize, truncated: true };
+}
+
+// Renders `text` fitted to maxWidth x maxHeight (see fitText) to a
+// transparent PNG at `outputFile`, with an optional drop shadow
+// ({ color, x, y }) and background box ({ color, opacity, border }).
+// Resolves { file, width, height, text, fontSize, truncated }.
+export async function renderTextLayer({
+  text: rawText,
+  outputFile,
+  fontFile,
+  fontSize: maxFontSize = 40,
+  minFontSize,
+  color = "white",
+  lineSpacing = 0,
+  maxWidth,
+  maxHeight,
+  align = "left",
+  shadow,
+  box,
+}) {
+  const fit = await fitText({
+    text: rawText,
+    fontFile,
+    fontSize: maxFontSize,
+    minFontSize,
+    maxWidth,
+    maxHeight,
+    lineSpacing,
+  });
+  const { text, fontSize } = fit;
+  const options = { text, fontFile, fontSize, lineSpacing, width: maxWidth, align };
+  const { data, info } = await textImage({ ...options, color });
+
+  const sx = shadow ? Math.max(shadow.x ?? 2, 0) : 0;
+  const sy = shadow ? Math.max(shadow.y ?? 2, 0) : 0;
+  const pad = box ? box.border ?? 10 : 0;
+  const width = info.width + sx + pad * 2;
+  const height = info.height + sy + pad * 2;
+
+  const layers = [];
+  if (shadow) {
+    const { data: shadowData } = await textImage({ ...options, color: shadow.color || "black" });
+    layers.push({ input: shadowData, left: pad + sx, top: pad + sy });
+  }
+  layers.push({ input: data, left: pad, top: pad });
+
+  const background = box
+    ? { ...hexToRgb(box.color || "#000000"), alpha: box.opacity ?? 0.6 }
+    : { r: 0, g: 0, b: 0, alpha: 0 };
+
+  await sharp({ create: { width, height, channels: 4, background } })
+    .composite(layers)
+    .png()
+    .toFile(outputFile);
+
+  return { file: outputFile, width, height, ...fit };
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.replace(/^#/, ""), 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
@@ -0,0 +1,215 @@
+// filename: transitions.js
+// Transitions between the segments of a bulletin (intro, reels, outro):
+// an xfade style, a dip to a colour, a stinger clip played over the cut, or
+// a plain cut, each with a matching audio transition. Builds that part of
+// mergeVideos' filtergraph and works out where every segment starts in the
+// merged video. Settings live in config/transitions.json; TRANSITION=<type>
+// picks the type for a run.
+import fs from "fs";
+import path from "path";
+import { loadJSONConfig } from "./config.js";
+
+export const TRANSITIONS_CONFIG = loadJSONConfig("transitions.json", "TRANSITIONS_CONFIG");
+
+const TYPES = ["cut", "xfade", "dip", "stinger"];
+
+export function transitionType() {
+  const type = process.env.TRANSITION || TRANSITIONS_CONFIG.type || "cut";
+  if (!TYPES.includes(type)) {
+    console.warn(`⚠️ Unknown transition "${type}", using a cut`);
+    return "cut";
+  }
+  return type;
+}
+
+// Stinger clip to add as an extra merge input, or null
+export function stingerFile() {
+  if (transitionType() !== "stinger") return null;
+  const file = path.resolve(process.cwd(), TRANSITIONS_CONFIG.stinger?.file || "");
+  if (!fs.existsSync(file)) {
+    console.warn("⚠️ Stinger clip not found, using a cut:", file);
+    return null;
+  }
+  return file;
+}
+
+const round = (seconds) => Number(seconds.toFixed(3));
+
+// "pad" fits the clip inside the frame with bars, "crop" fills the frame
+// and cuts off what sticks out
+function fitFilter(width, height, padColor = "black", fit = "pad") {
+  if (fit === "crop") {
+    return (
+      `scale=${width}:${height}:force_original_aspect_ratio=increase,` +
+      `crop=${width}:${height},setsar=1`
+    );
+  }
+  return (
+    `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${padColor},setsar=1`
+  );
+}
+
+// ---------- FILTERS ----------
+// segments: [{ duration, fit }] in merge order; input i is segment i and its
+//           audio is already [a<i>] (see segmentAudioFilter). `fit` is how a
+//           clip of another shape fills the frame (fitFilter, default "pad").
+// options:  { width, height, stinger: { index, hasAudio } }
+// Returns { filter, videoLabel, audioLabel, starts, duration, type }, where
+// starts[i] is the second segment i begins at in the merged video.
+export function transitionFilters(segments, { width, height, stinger } = {}) {
+  let type = transitionType();
+  if (type === "stinger" && !stinger) type = "cut";
+
+  const fps = TRANSITIONS_CONFIG.fps || 30;
+  const shortest = Math.min(...segments.map((s) => s.duration));
+  // A transition never takes more than half of the shortest segment
+  const d = round(Math.min(TRANSITIONS_CONFIG.duration ?? 0.5, shortest / 2));
+
+  // Same size, rate, pixel format and timebase, as xfade and concat require.
+  // Clips of another shape (a vertical intro in a 16:9 edition) are fitted
+  // rather than stretched.
+  const filter = segments.map(
+    (s, i) =>
+      `[${i}:v]${fitFilter(width, height, "black", s.fit)},fps=${fps},format=yuv420p,` +
+      `settb=AVTB,setpts=PTS-STARTPTS[v${i}]`
+  );
+
+  const build = { xfade: crossfade, dip, stinger: stingerCut, cut: concat }[type];
+  const result = build(segments, filter, { d, width, height, fps, stinger });
+  return { ...result, filter, type };
+}
+
+function concat(segments, filter, options, [video, audio] = ["vout", "speechmix"]) {
+  const n = segments.length;
+  filter.push(
+    `${segments.map((s, i) => `[v${i}][a${i}]`).join("")}concat=n=${n}:v=1:a=1[${video}][${audio}]`
+  );
+  return { videoLabel: video, audioLabel: audio, ...backToBack(segments) };
+}
+
+function backToBack(segments) {
+  const starts = [];
+  let elapsed = 0;
+  segments.forEach((s) => {
+    starts.push(round(elapsed));
+    elapsed += s.duration;
+  });
+  return { starts, duration: round(elapsed) };
+}
+
+// Segments overlap by `d`: xfade on video, acrossfade on audio
+function crossfade(segments, filter, { d }) {
+  if (segments.length === 1) return concat(segments, filter, {});
+
+  const style = TRANSITIONS_CONFIG.xfade?.style || "fade";
+  const starts = [0];
+  let video = "v0";
+  let audio = "a0";
+  let elapsed = segments[0].duration;
+
+  segments.slice(1).forEach((s, k) => {
+    const i = k + 1;
+    const offset = round(elapsed - d);
+    const last = i === segments.length - 1;
+    const nextVideo = last ? "vout" : `vx${i}`;
+    const nextAudio = last ? "speechmix" : `ax${i}`;
+
+    filter.push(
+      `[${video}][v${i}]xfade=transition=${style}:duration=${d}:offset=${offset}[${nextVideo}]`
+    );
+    filter.push(`[${audio}][a${i}]acrossfade=d=${d}[${nextAudio}]`);
+
+    starts.push(offset);
+    elapsed = offset + s.duration;
+    video = nextVideo;
+    audio = nextAudio;
+  });
+
+  return { videoLabel: "vout", audioLabel: "speechmix", starts, duration: round(elapsed) };
+}
+
+// Each boundary fades out to the colour and back in, half of `d` each side;
+// the audio dips to silence with it
+function dip(segments, filter, { d }) {
+  const color = TRANSITIONS_CONFIG.dip?.color || "black";
+  const half = round(d / 2);
+  const last = segments.length - 1;
+
+  segments.forEach((s, i) => {
+    const out = round(s.duration - half);
+    const video = [];
+    const audio = [];
+    if (i > 0) {
+      video.push(`fade=t=in:st=0:d=${half}:color=${color}`);
+      audio.push(`afade=t=in:st=0:d=${half}`);
+    }
+    if (i < last) {
+      video.push(`fade=t=out:st=${out}:d=${half}:color=${color}`);
+      audio.push(`afade=t=out:st=${out}:d=${half}`);
+    }
+    if (video.length === 0) return;
+    filter.push(`[v${i}]${video.join(",")}[vd${i}]`);
+    filter.push(`[a${i}]${audio.join(",")}[ad${i}]`);
+  });
+
+  const n = segments.length;
+  const pairs = segments
+    .map((s, i) => (n > 1 ? `[vd${i}][ad${i}]` : `[v${i}][a${i}]`))
+    .join("");
+  filter.push(`${pairs}concat=n=${n}:v=1:a=1[vout][speechmix]`);
+  return { videoLabel: "vout", audioLabel: "speechmix", ...backToBack(segments) };
+}
+
+// Hard cuts, each covered by the stinger clip: its `cutPoint` lands on the
+// cut, and its audio is mixed over the segments' own boundary fades
+function stingerCut(segments, filter, { width, height, fps, stinger }) {
+  const cutPoint = TRANSITIONS_CONFIG.stinger?.cutPoint ?? 0;
+  const timing = backToBack(segments);
+  const cuts = timing.starts.slice(1);
+
+  concat(segments, filter, {}, ["vcut", "acut"]);
+  if (cuts.length === 0) {
+    filter.push("[vcut]null[vout]", "[acut]anull[speechmix]");
+    return { videoLabel: "vout", audioLabel: "speechmix", ...timing };
+  }
+
+  const copies = cuts.map((t, k) => `s${k}`);
+  // Bars around a stinger of another shape stay transparent
+  filter.push(
+    `[${stinger.index}:v]format=yuva420p,${fitFilter(width, height, "black@0")},` +
+      `fps=${fps},format=yuva420p,settb=AVTB,setpts=PTS-STARTPTS${
+        copies.length > 1 ? `,split=${copies.length}` : ""
+      }${copies.map((c) => `[${c}]`).join("")}`
+  );
+
+  let video = "vcut";
+  cuts.forEach((t, k) => {
+    const start = round(Math.max(t - cutPoint, 0));
+    const next = k === cuts.length - 1 ? "vout" : `vs${k}`;
+    filter.push(`[s${k}]setpts=PTS+${start}/TB[st${k}]`);
+    filter.push(`[${video}][st${k}]overlay=eof_action=pass[${next}]`);
+    video = next;
+  });
+
+  if (!stinger.hasAudio) {
+    filter.push("[acut]anull[speechmix]");
+    return { videoLabel: "vout", audioLabel: "speechmix", ...timing };
+  }
+
+  // amix scales every input by 1/n, so the sum is turned back up
+  const n = cuts.length + 1;
+  filter.push(
+    `[${stinger.index}:a]aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo${
+      cuts.length > 1 ? `,asplit=${cuts.length}` : ""
+    }${cuts.map((t, k) => `[sa${k}]`).join("")}`
+  );
+  cuts.forEach((t, k) => {
+    const ms = Math.round(Math.max(t - cutPoint, 0) * 1000);
+    filter.push(`[sa${k}]adelay=${ms}|${ms},apad[sd${k}]`);
+  });
+  filter.push(
+    `[acut]${cuts.map((t, k) => `[sd${k}]`).join("")}amix=inputs=${n}:duration=first,volume=${n}[speechmix]`
+  );
+  return { videoLabel: "vout", audioLabel: "speechmix", ...timing };
+}
@@ -0,0 +1,211 @@
+// filename: ttsEngines.js
+// Text-to-speech engines behind one interface, tried in order as a fallback
+// chain. Every engine writes an mp3 to `outputPath`; the chain returns
+// { path, duration, engine } so callers never care which engine ran.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import axios from "axios";
+import OpenAI from "openai";
+import { getMediaDuration, transcodeToMp3 } from "./media.js";
+import { cacheKey, restoreFromCache, storeInCache } from "./cache.js";
+import { rateLimit } from "./scheduler.js";
+
+// TTS_ENGINES="openai,local" picks and orders the chain for a run
+const DEFAULT_CHAIN = ["openai-fm", "openai", "local"];
+
+function instructionsText(instructions) {
+  if (!instructions) return "";
+  if (typeof instructions === "string") return instructions;
+  return Object.entries(instructions)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join("\n");
+}
+
+// ---------- openai.fm (undocumented demo endpoint) ----------
+const openaiFm = {
+  name: "openai-fm",
+  async synthesize({ text, outputPath, voice, instructions }) {
+    const apiUrl = "https://www.openai.fm/api/generate";
+    const finalURL = `${apiUrl}?input=${encodeURIComponent(
+      text
+    )}&prompt=${encodeURIComponent(
+      typeof instructions === "string" ? instructions : JSON.stringify(instructions)
+    )}&voice=${voice}&generation=67612c8-4975-452f-af3f-d44cca8915e5`;
+
+    const res = await axios.get(finalURL, {
+      headers: {
+        "User-Agent":
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/115.0.0.0 Safari/537.36",
+      },
+      responseType: "arraybuffer",
+      timeout: 60_000,
+    });
+
+    fs.writeFileSync(outputPath, res.data);
+  },
+};
+
+// ---------- OpenAI speech API (official) ----------
+const openaiSpeech = {
+  name: "openai",
+  async synthesize({ text, outputPath, voice, instructions, speed }) {
+    const apiKey = process.env.OPENAI_API_KEY || "";
+    if (!apiKey) throw new Error("No OpenAI API key found (OPENAI_API_KEY)");
+
+    const client = new OpenAI({ apiKey });
+    const res = await client.audio.speech.create({
+      model: process.env.OPENAI_TTS_MODEL || "gpt-4o-mini-tts",
+      voice,
+      input: text,
+      instructions: instructionsText(instructions) || undefined,
+      speed,
+      response_format: "mp3",
+    });
+
+    fs.writeFileSync(outputPath, Buffer.from(await res.arrayBuffer()));
+  },
+};
+
+// ---------- Local command-line engine (offline) ----------
+// TTS_LOCAL_COMMAND=espeak-ng (default) or piper. espeak-ng uses the
+// language's `tts.espeakVoice`, piper its `tts.piperModel` (.onnx path).
+function run(command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["pipe", "ignore", "pipe"] });
+    let stderr = "";
+    child.stderr.on("data", (d) => (stderr += d));
+    child.on("error", reject);
+    child.on("close", (code) =>
+      code === 0
+        ? resolve()
+        : reject(new Error(`${command} exited with ${code}: ${stderr.trim()}`))
+    );
+    child.stdin.end(input || "");
+  });
+}
+
+const localCli = {
+  name: "local",
+  async synthesize({ text, outputPath, language, speed = 1 }) {
+    const command = process.env.TTS_LOCAL_COMMAND || "espeak-ng";
+    // A directory of its own, as several workers can fall back at once
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "tts_"));
+    const wavPath = path.join(tmpDir, "speech.wav");
+
+    try {
+      if (path.basename(command).startsWith("piper")) {
+        const model = language?.tts?.piperModel;
+        if (!model) throw new Error(`No piperModel for ${language?.key}`);
+        await run(
+          command,
+          ["--model", model, "--length_scale", String(1 / speed), "--output_file", wavPath],
+          text
+        );
+      } else {
+        const espeakVoice = language?.tts?.espeakVoice || "en";
+        await run(command, [
+          "-v",
+          espeakVoice,
+          "-s",
+          String(Math.round(175 * speed)),
+          "-w",
+          wavPath,
+          "--stdin",
+        ], text);
+      }
+
+      await transcodeToMp3(wavPath, outputPath);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  },
+};
+
+const ENGINES = {
+  [openaiFm.name]: openaiFm,
+  [openaiSpeech.name]: openaiSpeech,
+  [localCli.name]: localCli,
+};
+
+export function getTTSChain() {
+  const names = (process.env.TTS_ENGINES || "")
+    .split(",")
+    .map((n) => n.trim())
+    .filter(Boolean);
+  const chain = names.length > 0 ? names : DEFAULT_CHAIN;
+
+  return chain.map((name) => {
+    const engine = ENGINES[name];
+    if (!engine) {
+      throw new Error(
+        `Unknown TTS engine "${name}" (expected: ${Object.keys(ENGINES).join(", ")})`
+      );
+    }
+    return engine;
+  });
+}
+
+// Cache key parts: everything that changes the audio for a given engine
+function speechCacheParts(request, engine) {
+  return {
+    text: request.text,
+    voice: request.voice,
+    instructions: request.instructions || null,
+    speed: request.speed || 1,
+    language: request.language?.key || null,
+    engine: engine.name,
+  };
+}
+
+// ---------- MAIN ENTRY ----------
+// request: { text, outputPath, voice, instructions, speed, language }
+export async function synthesizeSpeech(request) {
+  const errors = [];
+  const chain = getTTSChain();
+
+  // ✅ Reuse audio any engine of the chain already produced for this request
+  const keys = chain.map((engine) => cacheKey(speechCacheParts(request, engine)));
+  const hit = restoreFromCache("audio", keys, request.outputPath);
+  if (hit) {
+    const engine = chain[keys.indexOf(hit.key)];
+    console.log(`♻️ Audio from cache (${engine.name}): ${request.outputPath}`);
+    return {
+      path: request.outputPath,
+      duration: hit.meta.duration || (await getMediaDuration(request.outputPath)),
+      engine: engine.name,
+      cached: true,
+    };
+  }
+
+  for (const engine of chain) {
+    try {
+      await rateLimit(engine.name);
+      await engine.synthesize(request);
+
+      const duration = await getMediaDuration(request.outputPath);
+      if (!duration) throw new Error("engine produced empty audio");
+
+      const parts = speechCacheParts(request, engine);
+      storeInCache("audio", cacheKey(parts), request.outputPath, parts, {
+        duration,
+      });
+
+      console.log(
+        `✅ Audio saved (${engine.name}, ${duration.toFixed(1)}s): ${request.outputPath}`
+      );
+      return {
+        path: request.outputPath,
+        duration,
+        engine: engine.name,
+        cached: false,
+      };
+    } catch (err) {
+      console.warn(`⚠️ TTS engine ${engine.name} failed:`, err.message);
+      errors.push(`${engine.name}: ${err.message}`);
+    }
+  }
+
+  throw new Error(`All TTS engines failed (${errors.join("; ")})`);
+}
@@ -0,0 +1,55 @@
+// filename: voiceProfiles.js
+// Named narration profiles (config/voiceProfiles.json). A profile is picked
+// per item from the first matching rule (language / section / kind), then
+// the language's own `tts.profile`, then the global default. A rule's
+// profile may contain "{language}" ("breaking-anchor-{language}"); a
+// language without such a profile falls back to its own.
+import { loadJSONConfig } from "./config.js";
+import { getLanguage } from "./languages.js";
+
+const config = loadJSONConfig("voiceProfiles.json", "VOICE_PROFILES_CONFIG");
+
+function matches(rule, { language, section, kind }) {
+  return (
+    (!rule.language || rule.language === language) &&
+    (!rule.section || rule.section === section) &&
+    (!rule.kind || rule.kind === kind)
+  );
+}
+
+export function getVoiceProfile(name) {
+  const profile = config.profiles[name];
+  if (!profile) throw new Error(`Unknown voice profile "${name}"`);
+  return { name, ...profile };
+}
+
+// item: a flattened news item ({ language, india, breaking })
+export function resolveVoiceProfile(item) {
+  const context = {
+    language: item.language,
+    section: item.india ? "India" : "World",
+    kind: item.breaking ? "breaking" : "regular",
+  };
+
+  const rule = (config.rules || []).find((r) => matches(r, context));
+  const ruleProfile = rule?.profile.replace("{language}", item.language);
+  const name =
+    (config.profiles[ruleProfile] && ruleProfile) ||
+    getLanguage(item.language).tts?.profile ||
+    config.default;
+
+  return { ...getVoiceProfile(name), context };
+}
+
+// Engine instructions: the profile vibe plus its sentence pause length
+export function profileInstructions(profile) {
+  const pause = profile.pauses?.sentence;
+  return {
+    ...profile.vibe,
+    ...(pause
+      ? {
+          Pauses: `About ${pause}s between sentences; slightly longer after the most important fact.`,
+        }
+      : {}),
+  };
+}